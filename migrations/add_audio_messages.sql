@@ -0,0 +1,21 @@
+-- Audio messages: duration, waveform and "played" receipts
+-- Run this migration: psql -U your_username -d your_database -f migrations/add_audio_messages.sql
+
+BEGIN;
+
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS audio_duration REAL NULL,
+ADD COLUMN IF NOT EXISTS audio_waveform JSONB NULL;
+
+ALTER TABLE scheduled_messages
+ADD COLUMN IF NOT EXISTS audio_duration REAL NULL,
+ADD COLUMN IF NOT EXISTS audio_waveform JSONB NULL;
+
+ALTER TABLE message_statuses
+ADD COLUMN IF NOT EXISTS played_at TIMESTAMP WITH TIME ZONE NULL;
+
+COMMENT ON COLUMN messages.audio_duration IS 'Audio messages: length in seconds';
+COMMENT ON COLUMN messages.audio_waveform IS 'Audio messages: up to 64 amplitude bars (0-100)';
+COMMENT ON COLUMN message_statuses.played_at IS 'Audio messages: when the recipient first played it (status is read by then)';
+
+COMMIT;
@@ -0,0 +1,46 @@
+-- Broadcast lists: one message sent as a private-chat message to each recipient
+-- Run this migration: psql -U your_username -d your_database -f migrations/add_broadcast_lists.sql
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS broadcast_lists (
+  id SERIAL PRIMARY KEY,
+  owner_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_broadcast_lists_owner_id ON broadcast_lists(owner_id);
+
+CREATE TABLE IF NOT EXISTS broadcast_list_members (
+  list_id INTEGER NOT NULL REFERENCES broadcast_lists(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  added_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (list_id, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS broadcasts (
+  id SERIAL PRIMARY KEY,
+  list_id INTEGER NOT NULL REFERENCES broadcast_lists(id) ON DELETE CASCADE,
+  sender_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  message_type VARCHAR(20) NOT NULL,
+  content TEXT NOT NULL,
+  caption TEXT NULL,
+  recipient_count INTEGER DEFAULT 0,
+  sent_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_broadcasts_list_id_sent_at ON broadcasts(list_id, sent_at);
+
+-- Recipient copies stay in their private chats if the list is deleted
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS broadcast_id INTEGER NULL REFERENCES broadcasts(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_messages_broadcast_id ON messages(broadcast_id);
+
+COMMENT ON TABLE broadcast_lists IS 'Named recipient lists, visible only to their owner';
+COMMENT ON TABLE broadcasts IS 'Messages sent to a broadcast list';
+COMMENT ON COLUMN messages.broadcast_id IS 'Broadcast this private-chat message was sent as part of';
+
+COMMIT;
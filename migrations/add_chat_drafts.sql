@@ -0,0 +1,17 @@
+-- Server-synced message drafts (one per user per chat)
+-- Run this migration: psql -U your_username -d your_database -f migrations/add_chat_drafts.sql
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS chat_drafts (
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  chat_id INTEGER NOT NULL REFERENCES chats(id) ON DELETE CASCADE,
+  content TEXT NOT NULL DEFAULT '',
+  reply_to INTEGER NULL REFERENCES messages(id) ON DELETE SET NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, chat_id)
+);
+
+COMMENT ON TABLE chat_drafts IS 'Unsent composer text per user and chat; cleared when the user sends a message there';
+
+COMMIT;
@@ -0,0 +1,14 @@
+-- Idempotent sends via client-generated message ids
+-- Run this migration: psql -U your_username -d your_database -f migrations/add_client_message_ids.sql
+
+BEGIN;
+
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS client_message_id VARCHAR(64) NULL;
+
+-- NULLs are distinct, so messages without a client id are unaffected
+CREATE UNIQUE INDEX IF NOT EXISTS idx_messages_sender_client_message_id ON messages(sender_id, client_message_id);
+
+COMMENT ON COLUMN messages.client_message_id IS 'Client-generated id, unique per sender, used to deduplicate retried sends';
+
+COMMIT;
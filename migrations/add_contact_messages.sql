@@ -0,0 +1,6 @@
+-- Contact card (vCard) messages
+-- Run this migration: psql -U your_username -d your_database -f migrations/add_contact_messages.sql
+
+-- Content of a contact message is its vCard payload, so only the enum changes.
+-- ADD VALUE cannot run inside a transaction block on older PostgreSQL versions
+ALTER TYPE enum_messages_message_type ADD VALUE IF NOT EXISTS 'contact';
@@ -0,0 +1,29 @@
+-- Disappearing messages: per-chat timer, expires_at on messages, system notices
+-- Run this migration: psql -U your_username -d your_database -f migrations/add_disappearing_messages.sql
+
+-- ADD VALUE cannot run inside a transaction block on older PostgreSQL versions
+ALTER TYPE enum_messages_message_type ADD VALUE IF NOT EXISTS 'system';
+
+BEGIN;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'enum_chats_disappearing_ttl') THEN
+    CREATE TYPE enum_chats_disappearing_ttl AS ENUM ('off', '24h', '7d', '90d');
+  END IF;
+END $$;
+
+ALTER TABLE chats
+ADD COLUMN IF NOT EXISTS settings_admins_only BOOLEAN DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS disappearing_ttl enum_chats_disappearing_ttl DEFAULT 'off';
+
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP WITH TIME ZONE NULL;
+
+CREATE INDEX IF NOT EXISTS messages_expires_at ON messages(expires_at);
+
+COMMENT ON COLUMN chats.settings_admins_only IS 'Group setting: only admins can change chat settings';
+COMMENT ON COLUMN chats.disappearing_ttl IS 'Disappearing messages timer for new messages';
+COMMENT ON COLUMN messages.expires_at IS 'Hard-deleted by the disappearing messages sweeper after this time';
+
+COMMIT;
@@ -0,0 +1,13 @@
+-- Chats imported from WhatsApp exports
+-- Run this migration: psql -U your_username -d your_database -f migrations/add_imported_messages.sql
+
+BEGIN;
+
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS is_imported BOOLEAN NOT NULL DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS imported_sender VARCHAR(255) NULL;
+
+COMMENT ON COLUMN messages.is_imported IS 'Back-dated message imported from a WhatsApp chat export';
+COMMENT ON COLUMN messages.imported_sender IS 'Sender name as written in the export (kept whether or not it matched a Synapse user)';
+
+COMMIT;
@@ -0,0 +1,23 @@
+-- Link previews for URLs in text messages
+-- Run this migration: psql -U your_username -d your_database -f migrations/add_link_previews.sql
+
+BEGIN;
+
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS link_preview JSONB NULL;
+
+-- Shared cache of fetched previews, keyed by URL
+CREATE TABLE IF NOT EXISTS link_previews (
+  url VARCHAR(2048) PRIMARY KEY,
+  title VARCHAR(300) NULL,
+  description TEXT NULL,
+  image_url TEXT NULL,
+  site_name VARCHAR(200) NULL,
+  has_preview BOOLEAN DEFAULT FALSE,
+  fetched_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON COLUMN messages.link_preview IS 'OpenGraph/Twitter-card preview of the first link in the message';
+COMMENT ON COLUMN link_previews.has_preview IS 'False when the page could not be fetched or had no metadata';
+
+COMMIT;
@@ -0,0 +1,35 @@
+-- Location and live-location messages
+-- Run this migration: psql -U your_username -d your_database -f migrations/add_location_messages.sql
+
+-- ADD VALUE cannot run inside a transaction block on older PostgreSQL versions
+ALTER TYPE enum_messages_message_type ADD VALUE IF NOT EXISTS 'location';
+ALTER TYPE enum_messages_message_type ADD VALUE IF NOT EXISTS 'live_location';
+
+BEGIN;
+
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS latitude DOUBLE PRECISION NULL,
+ADD COLUMN IF NOT EXISTS longitude DOUBLE PRECISION NULL,
+ADD COLUMN IF NOT EXISTS location_accuracy REAL NULL,
+ADD COLUMN IF NOT EXISTS location_name VARCHAR(255) NULL;
+
+CREATE TABLE IF NOT EXISTS live_location_shares (
+  message_id INTEGER PRIMARY KEY REFERENCES messages(id) ON DELETE CASCADE,
+  chat_id INTEGER NOT NULL REFERENCES chats(id) ON DELETE CASCADE,
+  sender_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  latitude DOUBLE PRECISION NOT NULL,
+  longitude DOUBLE PRECISION NOT NULL,
+  accuracy REAL NULL,
+  started_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  ended_at TIMESTAMP WITH TIME ZONE NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_live_location_shares_chat_sender ON live_location_shares(chat_id, sender_id);
+CREATE INDEX IF NOT EXISTS idx_live_location_shares_expires_at ON live_location_shares(expires_at);
+
+COMMENT ON COLUMN messages.location_accuracy IS 'Accuracy radius in meters';
+COMMENT ON TABLE live_location_shares IS 'Live-location shares with the latest reported position';
+
+COMMIT;
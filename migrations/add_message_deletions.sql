@@ -0,0 +1,22 @@
+-- Delete for everyone (tombstone on messages) and delete for me (per-user hide)
+-- Run this migration: psql -U your_username -d your_database -f migrations/add_message_deletions.sql
+
+BEGIN;
+
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS is_deleted BOOLEAN DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE NULL;
+
+CREATE TABLE IF NOT EXISTS message_deletions (
+  message_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  deleted_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (message_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_deletions_user_id ON message_deletions(user_id);
+
+COMMENT ON COLUMN messages.is_deleted IS 'Message was deleted for everyone by its sender';
+COMMENT ON TABLE message_deletions IS 'Messages a user deleted for themselves only';
+
+COMMIT;
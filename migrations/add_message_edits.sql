@@ -0,0 +1,22 @@
+-- Message editing: edited_at on messages plus a table of earlier versions
+-- Run this migration: psql -U your_username -d your_database -f migrations/add_message_edits.sql
+
+BEGIN;
+
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS edited_at TIMESTAMP WITH TIME ZONE NULL;
+
+CREATE TABLE IF NOT EXISTS message_edits (
+  id SERIAL PRIMARY KEY,
+  message_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+  content TEXT NOT NULL,
+  caption TEXT NULL,
+  edited_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_edits_message_id ON message_edits(message_id);
+
+COMMENT ON COLUMN messages.edited_at IS 'Last time the sender edited this message';
+COMMENT ON TABLE message_edits IS 'Previous versions of edited messages';
+
+COMMIT;
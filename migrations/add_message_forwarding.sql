@@ -0,0 +1,13 @@
+-- Forwarding provenance on messages
+-- Run this migration: psql -U your_username -d your_database -f migrations/add_message_forwarding.sql
+
+BEGIN;
+
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS forwarded_from_message_id INTEGER NULL REFERENCES messages(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS forward_count INTEGER DEFAULT 0;
+
+COMMENT ON COLUMN messages.forwarded_from_message_id IS 'Message this one was forwarded from';
+COMMENT ON COLUMN messages.forward_count IS 'Number of forwarding hops (clients show "Forwarded many times" from 5)';
+
+COMMIT;
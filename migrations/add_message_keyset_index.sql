@@ -0,0 +1,4 @@
+-- Keyset pagination of chat history (before_id / after_id / around_id)
+-- Run this migration: psql -U your_username -d your_database -f migrations/add_message_keyset_index.sql
+
+CREATE INDEX IF NOT EXISTS idx_messages_chat_id_id ON messages(chat_id, id);
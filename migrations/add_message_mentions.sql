@@ -0,0 +1,19 @@
+-- @mentions in group chats
+-- Run this migration: psql -U your_username -d your_database -f migrations/add_message_mentions.sql
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS message_mentions (
+  message_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  chat_id INTEGER NOT NULL REFERENCES chats(id) ON DELETE CASCADE,
+  mentioned_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (message_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_mentions_user_mentioned_at ON message_mentions(user_id, mentioned_at);
+CREATE INDEX IF NOT EXISTS idx_message_mentions_user_chat ON message_mentions(user_id, chat_id);
+
+COMMENT ON TABLE message_mentions IS 'Users @mentioned in group messages';
+
+COMMIT;
@@ -0,0 +1,18 @@
+-- Emoji reactions on messages (one per user per message)
+-- Run this migration: psql -U your_username -d your_database -f migrations/add_message_reactions.sql
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS message_reactions (
+  message_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  emoji VARCHAR(32) NOT NULL,
+  reacted_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (message_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_reactions_message_emoji ON message_reactions(message_id, emoji);
+
+COMMENT ON TABLE message_reactions IS 'Emoji reactions - a new reaction replaces the user''s previous one';
+
+COMMIT;
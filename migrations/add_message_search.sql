@@ -0,0 +1,24 @@
+-- Full-text search over message content and captions
+-- Run this migration: psql -U your_username -d your_database -f migrations/add_message_search.sql
+-- Requires PostgreSQL 12+ (generated columns)
+
+BEGIN;
+
+-- Media messages keep their S3 URL in content and contact messages a vCard,
+-- so only the caption of those is searchable.
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+GENERATED ALWAYS AS (
+  to_tsvector('simple',
+    CASE
+      WHEN message_type IN ('image', 'video', 'audio', 'file', 'contact') THEN coalesce(caption, '')
+      ELSE coalesce(content, '') || ' ' || coalesce(caption, '')
+    END
+  )
+) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_messages_search_vector ON messages USING GIN (search_vector);
+
+COMMENT ON COLUMN messages.search_vector IS 'Full-text index of content and caption, maintained by PostgreSQL';
+
+COMMIT;
@@ -0,0 +1,24 @@
+-- Pinned messages per chat, with optional expiry
+-- Run this migration: psql -U your_username -d your_database -f migrations/add_pinned_messages.sql
+
+BEGIN;
+
+ALTER TABLE chats
+ADD COLUMN IF NOT EXISTS pin_admins_only BOOLEAN DEFAULT FALSE;
+
+CREATE TABLE IF NOT EXISTS pinned_messages (
+  id SERIAL PRIMARY KEY,
+  chat_id INTEGER NOT NULL REFERENCES chats(id) ON DELETE CASCADE,
+  message_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+  pinned_by INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  pinned_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP WITH TIME ZONE NULL,
+  UNIQUE (chat_id, message_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_pinned_messages_expires_at ON pinned_messages(expires_at);
+
+COMMENT ON COLUMN chats.pin_admins_only IS 'Group setting: only admins can pin messages';
+COMMENT ON TABLE pinned_messages IS 'Messages pinned in a chat (expired rows are removed by a background sweep)';
+
+COMMIT;
@@ -0,0 +1,35 @@
+-- Poll messages: options and votes
+-- Run this migration: psql -U your_username -d your_database -f migrations/add_polls.sql
+
+-- ADD VALUE cannot run inside a transaction block on older PostgreSQL versions
+ALTER TYPE enum_messages_message_type ADD VALUE IF NOT EXISTS 'poll';
+
+BEGIN;
+
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS poll_allow_multiple BOOLEAN DEFAULT FALSE;
+
+CREATE TABLE IF NOT EXISTS poll_options (
+  id SERIAL PRIMARY KEY,
+  message_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+  text VARCHAR(100) NOT NULL,
+  position INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_poll_options_message_id ON poll_options(message_id);
+
+CREATE TABLE IF NOT EXISTS poll_votes (
+  option_id INTEGER NOT NULL REFERENCES poll_options(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  message_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+  voted_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (option_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_poll_votes_message_user ON poll_votes(message_id, user_id);
+
+COMMENT ON COLUMN messages.poll_allow_multiple IS 'Poll messages: voters may pick more than one option';
+COMMENT ON TABLE poll_options IS 'Answer options of poll messages';
+COMMENT ON TABLE poll_votes IS 'Votes cast on poll options';
+
+COMMIT;
@@ -0,0 +1,23 @@
+-- Separate delivered/read times per recipient (message info screen)
+-- Run this migration: psql -U your_username -d your_database -f migrations/add_receipt_timestamps.sql
+
+BEGIN;
+
+ALTER TABLE message_statuses
+ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMP WITH TIME ZONE NULL,
+ADD COLUMN IF NOT EXISTS read_at TIMESTAMP WITH TIME ZONE NULL;
+
+-- Backfill from updated_at. For rows already read the original delivered time
+-- was overwritten, so the read time is the best estimate we have.
+UPDATE message_statuses
+SET delivered_at = COALESCE(delivered_at, updated_at)
+WHERE status IN ('delivered', 'read');
+
+UPDATE message_statuses
+SET read_at = COALESCE(read_at, updated_at)
+WHERE status = 'read';
+
+COMMENT ON COLUMN message_statuses.delivered_at IS 'When the message reached this recipient';
+COMMENT ON COLUMN message_statuses.read_at IS 'When this recipient read the message';
+
+COMMIT;
@@ -0,0 +1,11 @@
+-- Claim time of scheduled messages, so only stale 'sending' rows are failed
+-- Run this migration: psql -U your_username -d your_database -f migrations/add_scheduled_message_claims.sql
+
+BEGIN;
+
+ALTER TABLE scheduled_messages
+ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMP WITH TIME ZONE NULL;
+
+COMMENT ON COLUMN scheduled_messages.claimed_at IS 'When a scheduler process moved the row to sending; rows sending for too long are failed';
+
+COMMIT;
@@ -0,0 +1,36 @@
+-- Scheduled messages (sent by the in-process scheduler)
+-- Run this migration: psql -U your_username -d your_database -f migrations/add_scheduled_messages.sql
+
+BEGIN;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'enum_scheduled_messages_status') THEN
+    CREATE TYPE enum_scheduled_messages_status AS ENUM ('pending', 'sending', 'sent', 'cancelled', 'failed');
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'enum_scheduled_messages_message_type') THEN
+    CREATE TYPE enum_scheduled_messages_message_type AS ENUM ('text', 'image', 'video', 'audio', 'file');
+  END IF;
+END $$;
+
+CREATE TABLE IF NOT EXISTS scheduled_messages (
+  id SERIAL PRIMARY KEY,
+  sender_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  chat_id INTEGER NOT NULL REFERENCES chats(id) ON DELETE CASCADE,
+  message_type enum_scheduled_messages_message_type DEFAULT 'text',
+  content TEXT NOT NULL,
+  caption TEXT NULL,
+  reply_to INTEGER NULL REFERENCES messages(id) ON DELETE SET NULL,
+  scheduled_for TIMESTAMP WITH TIME ZONE NOT NULL,
+  status enum_scheduled_messages_status DEFAULT 'pending',
+  sent_message_id INTEGER NULL REFERENCES messages(id) ON DELETE SET NULL,
+  error TEXT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_messages_status_scheduled_for ON scheduled_messages(status, scheduled_for);
+CREATE INDEX IF NOT EXISTS idx_scheduled_messages_sender_id ON scheduled_messages(sender_id);
+
+COMMENT ON TABLE scheduled_messages IS 'Messages queued for sending at scheduled_for';
+
+COMMIT;
@@ -0,0 +1,17 @@
+-- Starred messages per user
+-- Run this migration: psql -U your_username -d your_database -f migrations/add_starred_messages.sql
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS starred_messages (
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  message_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+  starred_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, message_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_starred_messages_user_starred_at ON starred_messages(user_id, starred_at);
+
+COMMENT ON TABLE starred_messages IS 'Messages starred by each user';
+
+COMMIT;
@@ -1,11 +1,80 @@
 const { Server } = require('socket.io');
 const { SOCKET_EVENTS } = require('../constants');
 const logger = require('../utils/logger');
+const { verifyToken } = require('../utils/token');
 const { registerPresenceHandlers, isUserOnline, getActiveUsersCount, handleUserAuthenticated } = require('../sockets/presence.socket');
 const { registerMessageHandlers } = require('../sockets/message.socket');
 
 let io;
 
+// setTimeout overflows above ~24.8 days, re-arm in chunks below that
+const MAX_TIMER_DELAY = 2147483647;
+
+/**
+ * Extract the JWT from the handshake.
+ * Accepts `auth: { token }` (socket.io-client) or an `Authorization: Bearer <token>` header.
+ */
+function getHandshakeToken(socket) {
+  const { auth = {}, headers = {} } = socket.handshake;
+
+  if (auth.token) {
+    return String(auth.token).replace(/^Bearer\s+/i, '');
+  }
+
+  const header = headers.authorization;
+  if (header) {
+    const parts = header.split(' ');
+    if (parts.length === 2) return parts[1];
+  }
+
+  return null;
+}
+
+/**
+ * Socket.io middleware - verifies the login JWT during the handshake
+ * and binds the socket to the user id inside the token.
+ */
+function authenticateSocket(socket, next) {
+  const token = getHandshakeToken(socket);
+
+  if (!token) {
+    const err = new Error('Authentication required');
+    err.data = { code: 'TOKEN_MISSING' };
+    return next(err);
+  }
+
+  try {
+    const payload = verifyToken(token);
+    socket.userId = payload.id;
+    socket.tokenExp = payload.exp || null;
+    next();
+  } catch (error) {
+    logger.error('Socket handshake rejected:', error.message);
+    const err = new Error(error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token');
+    err.data = { code: error.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'TOKEN_INVALID' };
+    next(err);
+  }
+}
+
+/**
+ * Disconnect the socket once its token expires.
+ * Clients can push a fresh token with the `authenticate` event to extend the session.
+ */
+function scheduleTokenExpiry(socket) {
+  clearTimeout(socket.tokenTimer);
+  if (!socket.tokenExp) return;
+
+  const delay = socket.tokenExp * 1000 - Date.now();
+  if (delay <= 0) {
+    socket.emit(SOCKET_EVENTS.TOKEN_EXPIRED, { message: 'Token expired' });
+    logger.info('Socket token expired, disconnecting:', { socketId: socket.id, userId: socket.userId });
+    socket.disconnect(true);
+    return;
+  }
+
+  socket.tokenTimer = setTimeout(() => scheduleTokenExpiry(socket), Math.min(delay, MAX_TIMER_DELAY));
+}
+
 function initSocket(server) {
   io = new Server(server, {
     cors: { origin: '*' },
@@ -14,8 +83,11 @@ function initSocket(server) {
     pingInterval: 10000    // ping every 10 seconds
   });
 
+  // Reject connections without a valid JWT before any handler runs
+  io.use(authenticateSocket);
+
   io.on('connection', (socket) => {
-    logger.info('Socket connected:', socket.id);
+    logger.info('Socket connected:', { socketId: socket.id, userId: socket.userId });
 
     // Register presence event handlers
     registerPresenceHandlers(socket, io);
@@ -23,9 +95,28 @@ function initSocket(server) {
     // Register message event handlers
     registerMessageHandlers(socket, io);
 
-    // Client should authenticate by sending 'user_authenticated' event with userId
-    // Example from client: socket.emit('user_authenticated', userId)
-    logger.info('Waiting for user authentication...');
+    // Refresh the token on a live connection (same user only)
+    socket.on(SOCKET_EVENTS.AUTHENTICATE, (token) => {
+      try {
+        const payload = verifyToken(String(token || '').replace(/^Bearer\s+/i, ''));
+        if (payload.id !== socket.userId) {
+          return socket.emit('authentication_error', { message: 'Token belongs to a different user' });
+        }
+        socket.tokenExp = payload.exp || null;
+        scheduleTokenExpiry(socket);
+        socket.emit('authenticated', { success: true, userId: socket.userId });
+      } catch (error) {
+        socket.emit('authentication_error', { message: 'Invalid token' });
+        logger.error('Socket token refresh failed:', error.message);
+      }
+    });
+
+    socket.on('disconnect', () => clearTimeout(socket.tokenTimer));
+
+    scheduleTokenExpiry(socket);
+
+    // Identity comes from the verified token - join personal room and go online
+    handleUserAuthenticated(socket, io, socket.userId);
   });
 
   // Add helper functions to io instance
@@ -8,24 +8,104 @@ module.exports = {
     MESSAGE_SENT: 'message_sent',
     MESSAGE_DELIVERED: 'message_delivered',
     MESSAGE_READ: 'message_read',
+    MESSAGE_PLAYED: 'message_played',
     MESSAGE_STATUS_UPDATED: 'message_status_updated',
     AUTHENTICATE: 'authenticate',
+    TOKEN_EXPIRED: 'token_expired',
     JOIN_CHAT: 'join_chat',
     LEAVE_CHAT: 'leave_chat',
     USER_TYPING: 'user_typing',
     DELETE_MESSAGE: 'delete_message',
-    MESSAGE_DELETED: 'message_deleted'
+    MESSAGE_DELETED: 'message_deleted',
+    EDIT_MESSAGE: 'edit_message',
+    MESSAGE_EDITED: 'message_edited',
+    REACT_MESSAGE: 'react_message',
+    UNREACT_MESSAGE: 'unreact_message',
+    MESSAGE_REACTION: 'message_reaction',
+    FORWARD_MESSAGE: 'forward_message',
+    MESSAGE_FORWARDED: 'message_forwarded',
+    PIN_MESSAGE: 'pin_message',
+    UNPIN_MESSAGE: 'unpin_message',
+    MESSAGE_PINNED: 'message_pinned',
+    MESSAGE_UNPINNED: 'message_unpinned',
+    SCHEDULE_MESSAGE: 'schedule_message',
+    MESSAGE_SCHEDULED: 'message_scheduled',
+    CHAT_SETTINGS_UPDATED: 'chat_settings_updated',
+    MESSAGES_EXPIRED: 'messages_expired',
+    VOTE_POLL: 'vote_poll',
+    POLL_UPDATED: 'poll_updated',
+    LIVE_LOCATION_UPDATE: 'live_location_update',
+    STOP_LIVE_LOCATION: 'stop_live_location',
+    LIVE_LOCATION_UPDATED: 'live_location_updated',
+    LIVE_LOCATION_STOPPED: 'live_location_stopped',
+    DRAFT_UPDATE: 'draft_update',
+    DRAFT_UPDATED: 'draft_updated'
+  },
+  DELETE_FOR: {
+    ME: 'me',
+    EVERYONE: 'everyone'
   },
   MESSAGE_TYPES: {
     TEXT: 'text',
     IMAGE: 'image',
     VIDEO: 'video',
     AUDIO: 'audio',
-    FILE: 'file'
+    FILE: 'file',
+    SYSTEM: 'system',
+    POLL: 'poll',
+    LOCATION: 'location',
+    LIVE_LOCATION: 'live_location',
+    CONTACT: 'contact'
   },
   MESSAGE_STATUS: {
     SENT: 'sent',
     DELIVERED: 'delivered',
-    READ: 'read'
+    READ: 'read',
+    // Audio messages only, reported from played_at
+    PLAYED: 'played'
+  },
+  // forward_count at which clients show "Forwarded many times"
+  FREQUENTLY_FORWARDED_THRESHOLD: 5,
+  // Max target chats for a single forward
+  MAX_FORWARD_TARGETS: 20,
+  // Max pinned messages per chat
+  MAX_PINNED_MESSAGES: 3,
+  // Allowed pin durations (null = until unpinned)
+  PIN_DURATIONS: {
+    '24h': 24 * 60 * 60 * 1000,
+    '7d': 7 * 24 * 60 * 60 * 1000,
+    '30d': 30 * 24 * 60 * 60 * 1000
+  },
+  SCHEDULED_MESSAGE_STATUS: {
+    PENDING: 'pending',
+    SENDING: 'sending',
+    SENT: 'sent',
+    CANCELLED: 'cancelled',
+    FAILED: 'failed'
+  },
+  // How far ahead a message can be scheduled
+  MAX_SCHEDULE_AHEAD_DAYS: 365,
+  // Disappearing message timers ('off' disables)
+  DISAPPEARING_TTLS: {
+    '24h': 24 * 60 * 60 * 1000,
+    '7d': 7 * 24 * 60 * 60 * 1000,
+    '90d': 90 * 24 * 60 * 60 * 1000
+  },
+  // Poll options per poll
+  MIN_POLL_OPTIONS: 2,
+  MAX_POLL_OPTIONS: 12,
+  // Most contacts one contact message can carry
+  MAX_SHARED_CONTACTS: 10,
+  // Most recipients one broadcast list can hold
+  MAX_BROADCAST_RECIPIENTS: 256,
+  // Longest audio message, in seconds
+  MAX_AUDIO_DURATION: 60 * 60,
+  // Samples kept in an audio message's waveform (longer client arrays are downsampled)
+  AUDIO_WAVEFORM_SAMPLES: 64,
+  // Allowed live-location share durations
+  LIVE_LOCATION_DURATIONS: {
+    '15m': 15 * 60 * 1000,
+    '1h': 60 * 60 * 1000,
+    '8h': 8 * 60 * 60 * 1000
   }
 };
@@ -0,0 +1,181 @@
+const broadcastService = require('../services/broadcast.service');
+const { response } = require('../utils/response');
+const { getIo } = require('../config/socket');
+const { deliverNewMessage, clearSentDrafts } = require('../sockets/message.socket');
+
+/**
+ * Create a broadcast list
+ * POST /api/broadcasts
+ * Body: { name, recipient_ids: [2, 3, 4] }
+ */
+exports.createBroadcastList = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { name, recipient_ids } = req.body || {};
+
+    const list = await broadcastService.createBroadcastList(userId, { name, recipient_ids });
+
+    res.status(201).json(
+      response({ list }, 'Broadcast list created successfully')
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the current user's broadcast lists
+ * GET /api/broadcasts
+ */
+exports.getBroadcastLists = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+
+    const lists = await broadcastService.getBroadcastLists(userId);
+
+    res.json(
+      response({ lists, count: lists.length }, 'Broadcast lists retrieved successfully')
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get one broadcast list
+ * GET /api/broadcasts/:listId
+ */
+exports.getBroadcastList = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { listId } = req.params;
+
+    const list = await broadcastService.getBroadcastList(userId, listId);
+
+    res.json(
+      response({ list }, 'Broadcast list retrieved successfully')
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Rename a broadcast list and/or replace its recipients
+ * PATCH /api/broadcasts/:listId
+ * Body: { name, recipient_ids }
+ */
+exports.updateBroadcastList = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { listId } = req.params;
+    const { name, recipient_ids } = req.body || {};
+
+    const list = await broadcastService.updateBroadcastList(userId, listId, { name, recipient_ids });
+
+    res.json(
+      response({ list }, 'Broadcast list updated successfully')
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a broadcast list
+ * DELETE /api/broadcasts/:listId
+ */
+exports.deleteBroadcastList = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { listId } = req.params;
+
+    const result = await broadcastService.deleteBroadcastList(userId, listId);
+
+    res.json(
+      response(result, 'Broadcast list deleted successfully')
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send a message to every recipient of a list (one private-chat message each)
+ * POST /api/broadcasts/:listId/send
+ * Body: { content, message_type, caption }
+ */
+exports.sendBroadcast = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { listId } = req.params;
+    const { content, message_type, caption, audio } = req.body || {};
+
+    const { broadcast, messages, failed } = await broadcastService.sendBroadcast(userId, listId, {
+      content,
+      message_type,
+      caption,
+      audio
+    });
+
+    // Normal private-chat delivery for each copy; the sender's devices
+    // get each message in its private chat
+    const io = getIo();
+    for (const message of messages) {
+      io.to(`user:${userId}`).emit('message_sent', { broadcast_id: broadcast.id, message });
+      await deliverNewMessage(io, message);
+    }
+
+    await clearSentDrafts(io, userId, messages.map(m => m.chat_id));
+
+    res.status(201).json(
+      response({
+        broadcast,
+        messages,
+        sent: messages.length,
+        failed
+      }, 'Broadcast sent successfully')
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send history of a list with delivered/read counts
+ * GET /api/broadcasts/:listId/messages?limit=20&offset=0
+ */
+exports.getBroadcasts = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { listId } = req.params;
+    const { limit, offset } = req.query;
+
+    const broadcasts = await broadcastService.getBroadcasts(userId, listId, { limit, offset });
+
+    res.json(
+      response({ broadcasts, count: broadcasts.length }, 'Broadcasts retrieved successfully')
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Per-recipient delivery and read details of one broadcast
+ * GET /api/broadcasts/:listId/messages/:broadcastId
+ */
+exports.getBroadcastStats = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { listId, broadcastId } = req.params;
+
+    const stats = await broadcastService.getBroadcastStats(userId, listId, broadcastId);
+
+    res.json(
+      response(stats, 'Broadcast stats retrieved successfully')
+    );
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,5 +1,12 @@
+const { pipeline } = require('stream/promises');
 const { response } = require('../utils/response');
 const chatService = require('../services/chat.service');
+const pinService = require('../services/pin.service');
+const exportService = require('../services/export.service');
+const importService = require('../services/import.service');
+const logger = require('../utils/logger');
+const { getIo } = require('../config/socket');
+const { deliverNewMessage, emitToChatMembers } = require('../sockets/message.socket');
 
 exports.createChat = async (req, res, next) => {
   try {
@@ -68,3 +75,136 @@ exports.getChats = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * Update chat settings
+ * PATCH /api/chats/:chatId/settings
+ * Body: { pin_admins_only, settings_admins_only, disappearing_ttl: 'off' | '24h' | '7d' | '90d' }
+ */
+exports.updateChatSettings = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { chatId } = req.params;
+
+    const { chat, notice } = await chatService.updateChatSettings(userId, chatId, req.body || {});
+
+    const io = getIo();
+    await emitToChatMembers(io, chat.id, 'chat_settings_updated', {
+      chat_id: chat.id,
+      updated_by: userId,
+      pin_admins_only: chat.pin_admins_only,
+      settings_admins_only: chat.settings_admins_only,
+      disappearing_ttl: chat.disappearing_ttl
+    });
+
+    // System notice goes through the normal delivery path
+    if (notice) {
+      await deliverNewMessage(io, notice);
+    }
+
+    res.json(response({ chat, notice }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get pinned messages of a chat
+ * GET /api/chats/:chatId/pins
+ */
+exports.getChatPins = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { chatId } = req.params;
+
+    const pins = await pinService.getChatPins(userId, chatId);
+    res.json(response({ pins, count: pins.length }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the media gallery of a chat
+ * GET /api/chats/:chatId/media?kind=media|docs|links|audio&cursor=&limit=
+ */
+exports.getChatMedia = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { chatId } = req.params;
+    const { kind, cursor, limit } = req.query;
+
+    const media = await chatService.getChatMedia(userId, chatId, { kind, cursor, limit });
+    res.json(response(media));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Export a chat (streamed download)
+ * GET /api/chats/:chatId/export?format=txt|json|zip&tz=Europe/London
+ */
+exports.exportChat = async (req, res, next) => {
+  let exported;
+  try {
+    const userId = req.user.id;
+    const { chatId } = req.params;
+    const { format, tz } = req.query;
+
+    exported = await exportService.exportChat(userId, chatId, { format, tz });
+  } catch (error) {
+    return next(error);
+  }
+
+  res.setHeader('Content-Type', exported.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${exported.filename}"`);
+
+  try {
+    await pipeline(exported.stream, res);
+  } catch (error) {
+    // Headers are already out; all we can do is cut the download short
+    logger.error('Chat export failed', { chat_id: req.params.chatId, error: error.message });
+  }
+};
+
+/**
+ * Import a WhatsApp chat export as a new group
+ * POST /api/chats/import (multipart)
+ * Fields: file (.txt or .zip), group_name, date_order (DMY|MDY|YMD), tz,
+ *         mapping (JSON: { "Sender name in export": userId })
+ */
+exports.importChat = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { group_name, date_order, tz } = req.body || {};
+    let { mapping } = req.body || {};
+
+    if (!req.file) {
+      return res.status(400).json(
+        response(null, 'No file uploaded', false)
+      );
+    }
+
+    if (typeof mapping === 'string') {
+      try {
+        mapping = JSON.parse(mapping);
+      } catch (error) {
+        return res.status(400).json(
+          response(null, 'mapping must be valid JSON', false)
+        );
+      }
+    }
+
+    const result = await importService.importWhatsAppChat(userId, req.file, {
+      group_name,
+      date_order,
+      tz,
+      mapping: mapping || {}
+    });
+
+    res.status(201).json(response(result));
+  } catch (error) {
+    next(error);
+  }
+};
@@ -108,6 +108,35 @@ async function addBulkContacts(req, res) {
   }
 }
 
+/**
+ * Add the contacts shared in a contact message to user's list
+ * POST /api/contacts/import
+ * Body: { message_id }
+ */
+async function importContactsFromMessage(req, res) {
+  try {
+    const userId = req.user.id;
+    const { message_id } = req.body;
+
+    if (!message_id) {
+      return errorResponse(res, 'message_id is required', 400);
+    }
+
+    const results = await contactService.importContactsFromMessage(userId, message_id);
+
+    return successResponse(res, results, 'Contact import completed', 201);
+  } catch (error) {
+    console.error('Error importing contacts:', error);
+    if (error.message === 'Contact message not found') {
+      return errorResponse(res, error.message, 404);
+    }
+    if (error.message === 'User is not a member of this chat') {
+      return errorResponse(res, error.message, 403);
+    }
+    return errorResponse(res, 'Failed to import contacts', 500);
+  }
+}
+
 /**
  * Remove contact from user's list
  * DELETE /api/contacts/:corporateContactId
@@ -136,5 +165,6 @@ module.exports = {
   getUserContacts,
   addContact,
   addBulkContacts,
+  importContactsFromMessage,
   removeContact
 };
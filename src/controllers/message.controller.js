@@ -1,27 +1,115 @@
 const messageService = require('../services/message.service');
 const s3Service = require('../services/s3.service');
+const scheduledMessageService = require('../services/scheduledMessage.service');
+const audioService = require('../services/audio.service');
 const { response } = require('../utils/response');
+const { MESSAGE_TYPES } = require('../constants');
+const { getIo } = require('../config/socket');
+const { deliverNewMessage, clearSentDrafts } = require('../sockets/message.socket');
+
+/**
+ * Send a message over REST (same behaviour as the send_message socket event)
+ * POST /api/messages
+ * Body: { chat_id, content, message_type, reply_to, caption, client_message_id, ... }
+ * A repeated client_message_id returns the stored message (200) without delivering it again.
+ */
+exports.sendMessage = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const {
+      chat_id, content, message_type, reply_to, caption, poll, location, live_duration, contacts, vcard_version, audio, mentions,
+      client_message_id, tempId
+    } = req.body;
+
+    // Location and contact messages build their content from structured fields
+    const isStructured = [
+      MESSAGE_TYPES.LOCATION, MESSAGE_TYPES.LIVE_LOCATION, MESSAGE_TYPES.CONTACT
+    ].includes(message_type);
+
+    if (!chat_id || (!content && !isStructured)) {
+      return res.status(400).json(
+        response(null, 'chat_id and content are required', false)
+      );
+    }
+
+    // System notices are only created by the server
+    if (message_type === MESSAGE_TYPES.SYSTEM) {
+      return res.status(400).json(
+        response(null, 'Invalid message type', false)
+      );
+    }
+
+    if (caption !== undefined && caption !== null && typeof caption !== 'string') {
+      return res.status(400).json(
+        response(null, 'Caption must be a string', false)
+      );
+    }
+
+    const { message, duplicate, draft_cleared } = await messageService.sendMessageOnce(userId, {
+      chat_id,
+      content,
+      message_type: message_type || 'text',
+      reply_to,
+      caption: caption ? caption.trim() || null : null,
+      poll,
+      location,
+      live_duration,
+      contacts,
+      vcard_version,
+      audio,
+      mentions,
+      client_message_id
+    });
+
+    const io = getIo();
+
+    // Keep the sender's socket sessions in step with REST sends
+    io.to(`user:${userId}`).emit('message_sent', {
+      tempId,
+      message,
+      duplicate
+    });
+
+    if (draft_cleared) {
+      io.to(`user:${userId}`).emit('draft_updated', { chat_id: message.chat_id, draft: null });
+    }
+
+    if (!duplicate) {
+      await deliverNewMessage(io, message);
+    }
+
+    res.status(duplicate ? 200 : 201).json(
+      response({ message, duplicate }, duplicate ? 'Message already sent' : 'Message sent successfully')
+    );
+  } catch (error) {
+    next(error);
+  }
+};
 
 /**
  * Get messages for a specific chat
- * GET /api/messages/:chatId
+ * GET /api/messages/:chatId?limit=50&before_id=|after_id=|around_id=
  */
 exports.getMessages = async (req, res, next) => {
   try {
     const userId = req.user.id;
     const { chatId } = req.params;
-    const { limit, offset, before_id } = req.query;
+    const { limit, offset, before_id, after_id, around_id } = req.query;
 
-    const messages = await messageService.getMessages(userId, chatId, {
+    const { messages, has_more_before, has_more_after } = await messageService.getMessages(userId, chatId, {
       limit,
       offset,
-      before_id
+      before_id,
+      after_id,
+      around_id
     });
 
     res.json(
       response({
         messages,
-        count: messages.length
+        count: messages.length,
+        has_more_before,
+        has_more_after
       }, 'Messages retrieved successfully')
     );
   } catch (error) {
@@ -65,6 +153,45 @@ exports.getChatUnreadCount = async (req, res, next) => {
   }
 };
 
+/**
+ * Search messages across all of the user's chats
+ * GET /api/messages/search?q=&chat_id=&sender_id=&message_type=&from=&to=&sort=relevance|recent&cursor=&limit=
+ */
+exports.searchAllMessages = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { q, chat_id, sender_id, message_type, from, to, sort, cursor, limit } = req.query;
+
+    if (!q || q.trim().length === 0) {
+      return res.status(400).json(
+        response(null, 'Search query (q) is required', false)
+      );
+    }
+
+    const { messages, next_cursor } = await messageService.searchAllMessages(userId, {
+      q,
+      chat_id,
+      sender_id,
+      message_type,
+      from,
+      to,
+      sort,
+      cursor,
+      limit
+    });
+
+    res.json(
+      response({
+        messages,
+        count: messages.length,
+        next_cursor
+      }, 'Search completed successfully')
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Search messages in a chat
  * GET /api/messages/search/:chatId
@@ -94,6 +221,247 @@ exports.searchMessages = async (req, res, next) => {
   }
 };
 
+/**
+ * Get the edit history of a message
+ * GET /api/messages/:messageId/history
+ */
+exports.getMessageEditHistory = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { messageId } = req.params;
+
+    const history = await messageService.getMessageEditHistory(userId, messageId);
+
+    res.json(
+      response(history, 'Message edit history retrieved successfully')
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the thread a message belongs to (root message and all replies under it)
+ * GET /api/messages/:messageId/thread?limit=50&offset=0
+ */
+exports.getThread = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { messageId } = req.params;
+    const { limit, offset } = req.query;
+
+    const thread = await messageService.getThread(userId, messageId, { limit, offset });
+
+    res.json(
+      response(thread, 'Thread retrieved successfully')
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get delivery/read receipts of a message (sender only)
+ * GET /api/messages/:messageId/receipts
+ */
+exports.getMessageReceipts = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { messageId } = req.params;
+
+    const receipts = await messageService.getMessageReceipts(userId, messageId);
+
+    res.json(
+      response(receipts, 'Message receipts retrieved successfully')
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Forward a message to one or more chats
+ * POST /api/messages/:messageId/forward
+ * Body: { chat_ids: [1, 2, 3] }
+ */
+exports.forwardMessage = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { messageId } = req.params;
+    const { chat_ids } = req.body;
+
+    if (!Array.isArray(chat_ids) || chat_ids.length === 0) {
+      return res.status(400).json(
+        response(null, 'chat_ids must be a non-empty array', false)
+      );
+    }
+
+    const messages = await messageService.forwardMessage(userId, messageId, chat_ids);
+
+    // Same online/offline fan-out as socket sends
+    const io = getIo();
+    for (const message of messages) {
+      await deliverNewMessage(io, message);
+    }
+
+    await clearSentDrafts(io, userId, messages.map(m => m.chat_id));
+
+    res.status(201).json(
+      response({
+        messages,
+        count: messages.length
+      }, 'Message forwarded successfully')
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the current user's starred messages across all chats
+ * GET /api/messages/starred
+ */
+exports.getStarredMessages = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { limit, offset } = req.query;
+
+    const messages = await messageService.getStarredMessages(userId, { limit, offset });
+
+    res.json(
+      response({
+        messages,
+        count: messages.length
+      }, 'Starred messages retrieved successfully')
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get recent @mentions of the current user across all chats
+ * GET /api/messages/mentions
+ */
+exports.getMentions = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { limit, offset } = req.query;
+
+    const messages = await messageService.getMentions(userId, { limit, offset });
+
+    res.json(
+      response({
+        messages,
+        count: messages.length
+      }, 'Mentions retrieved successfully')
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Star a message
+ * POST /api/messages/:messageId/star
+ */
+exports.starMessage = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { messageId } = req.params;
+
+    const starred = await messageService.starMessage(userId, messageId);
+
+    res.json(
+      response({ message_id: starred.message_id, is_starred: true, starred_at: starred.starred_at }, 'Message starred')
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Unstar a message
+ * DELETE /api/messages/:messageId/star
+ */
+exports.unstarMessage = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { messageId } = req.params;
+
+    await messageService.unstarMessage(userId, messageId);
+
+    res.json(
+      response({ message_id: parseInt(messageId), is_starred: false }, 'Message unstarred')
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Schedule a message to be sent later
+ * POST /api/messages/scheduled
+ * Body: { chat_id, content, message_type, caption, reply_to, scheduled_for }
+ */
+exports.scheduleMessage = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+
+    const scheduledMessage = await scheduledMessageService.scheduleMessage(userId, req.body);
+
+    // The composer text is now the scheduled message
+    await clearSentDrafts(getIo(), userId, [scheduledMessage.chat_id]);
+
+    res.status(201).json(
+      response({ scheduled_message: scheduledMessage }, 'Message scheduled successfully')
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the current user's pending (and failed) scheduled messages
+ * GET /api/messages/scheduled?chat_id=
+ */
+exports.getScheduledMessages = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { chat_id } = req.query;
+
+    const scheduledMessages = await scheduledMessageService.getScheduledMessages(userId, { chat_id });
+
+    res.json(
+      response({
+        scheduled_messages: scheduledMessages,
+        count: scheduledMessages.length
+      }, 'Scheduled messages retrieved successfully')
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel a pending scheduled message
+ * DELETE /api/messages/scheduled/:scheduledMessageId
+ */
+exports.cancelScheduledMessage = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { scheduledMessageId } = req.params;
+
+    const scheduledMessage = await scheduledMessageService.cancelScheduledMessage(userId, scheduledMessageId);
+
+    res.json(
+      response({ scheduled_message: scheduledMessage }, 'Scheduled message cancelled')
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Upload message media (image/video)
  * POST /api/messages/upload-media
@@ -149,3 +517,44 @@ exports.uploadMedia = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * Upload an audio message / voice note
+ * POST /api/messages/upload-audio (multipart field `audio`)
+ * Field `duration` (seconds, required) and optional `waveform` (JSON array, 0-100) are validated
+ * and returned as `audio`, ready to pass to send_message with message_type 'audio'.
+ */
+exports.uploadAudio = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+
+    if (!req.file) {
+      return res.status(400).json(
+        response(null, 'No file uploaded', false)
+      );
+    }
+
+    let audio;
+    try {
+      const waveform = typeof req.body.waveform === 'string' ? JSON.parse(req.body.waveform) : req.body.waveform;
+      audio = audioService.validateAudio({ duration: req.body.duration, waveform });
+    } catch (error) {
+      return res.status(400).json(
+        response(null, error instanceof SyntaxError ? 'waveform must be a JSON array' : error.message, false)
+      );
+    }
+
+    const url = await s3Service.uploadMessageMedia(
+      req.file.buffer,
+      req.file.originalname,
+      req.file.mimetype,
+      userId
+    );
+
+    res.json(
+      response({ url, type: MESSAGE_TYPES.AUDIO, audio }, 'Audio uploaded successfully')
+    );
+  } catch (error) {
+    next(error);
+  }
+};
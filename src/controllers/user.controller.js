@@ -1,4 +1,4 @@
-const jwt = require('jsonwebtoken');
+const { signToken } = require('../utils/token');
 const crypto = require('crypto');
 const { User } = require('../models');
 const otpService = require('../services/otp.service');
@@ -243,12 +243,12 @@ exports.verifyLoginOTP = async (req, res) => {
     });
 
     // ✅ GENERATE JWT TOKEN
-    const token = jwt.sign(
+    // Signed with the same secret the REST and socket auth verify against
+    const token = signToken(
       { 
         id: user.id, 
         phone_number: user.phone_number 
       },
-      process.env.JWT_SECRET || 'your-secret-key',
       { expiresIn: '7d' }
     );
 
@@ -0,0 +1,57 @@
+const messageService = require('../services/message.service');
+const { getIo } = require('../config/socket');
+const { emitToChatMembers } = require('../sockets/message.socket');
+const logger = require('../utils/logger');
+
+// How often expired disappearing messages are swept
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+let timer = null;
+let running = false;
+
+/**
+ * Hard-delete expired messages and tell chat members which ones are gone
+ */
+const sweepExpiredMessages = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    const io = getIo();
+    let purged;
+
+    // Work through the backlog in batches
+    do {
+      purged = await messageService.purgeExpiredMessages();
+
+      for (const { chat_id, message_ids } of purged) {
+        await emitToChatMembers(io, chat_id, 'messages_expired', { chat_id, message_ids });
+        logger.info(`Removed ${message_ids.length} disappearing message(s) from chat ${chat_id}`);
+      }
+    } while (purged.length > 0);
+  } finally {
+    running = false;
+  }
+};
+
+const startDisappearingMessagesJob = () => {
+  if (timer) return;
+
+  const run = () => sweepExpiredMessages().catch(error => {
+    logger.error('Error sweeping disappearing messages:', error.message);
+  });
+
+  timer = setInterval(run, SWEEP_INTERVAL_MS);
+  run();
+};
+
+const stopDisappearingMessagesJob = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  startDisappearingMessagesJob,
+  stopDisappearingMessagesJob,
+  sweepExpiredMessages
+};
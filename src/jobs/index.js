@@ -0,0 +1,24 @@
+const { startPinExpiryJob, stopPinExpiryJob } = require('./pinExpiry.job');
+const { startScheduledMessageJob, stopScheduledMessageJob } = require('./scheduledMessage.job');
+const { startDisappearingMessagesJob, stopDisappearingMessagesJob } = require('./disappearingMessages.job');
+const { startLiveLocationJob, stopLiveLocationJob } = require('./liveLocation.job');
+
+/**
+ * Start in-process background jobs
+ * Called once the database and Socket.io are ready
+ */
+function startJobs() {
+  startPinExpiryJob();
+  startScheduledMessageJob();
+  startDisappearingMessagesJob();
+  startLiveLocationJob();
+}
+
+function stopJobs() {
+  stopPinExpiryJob();
+  stopScheduledMessageJob();
+  stopDisappearingMessagesJob();
+  stopLiveLocationJob();
+}
+
+module.exports = { startJobs, stopJobs };
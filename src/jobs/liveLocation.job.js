@@ -0,0 +1,53 @@
+const locationService = require('../services/location.service');
+const { getIo } = require('../config/socket');
+const { emitToChatMembers } = require('../sockets/message.socket');
+const logger = require('../utils/logger');
+
+// How often expired live-location shares are ended
+const SWEEP_INTERVAL_MS = 30 * 1000;
+
+let timer = null;
+
+/**
+ * End live-location shares whose duration ran out and tell chat members
+ */
+const sweepExpiredLiveLocations = async () => {
+  const ended = await locationService.endExpiredLiveLocations();
+
+  if (ended.length === 0) return;
+
+  const io = getIo();
+  for (const share of ended) {
+    await emitToChatMembers(io, share.chat_id, 'live_location_stopped', {
+      message_id: share.message_id,
+      chat_id: share.chat_id,
+      user_id: share.sender_id,
+      reason: 'expired',
+      ended_at: share.expires_at
+    });
+  }
+
+  logger.info(`Ended ${ended.length} expired live location share(s)`);
+};
+
+const startLiveLocationJob = () => {
+  if (timer) return;
+
+  const run = () => sweepExpiredLiveLocations().catch(error => {
+    logger.error('Error sweeping live locations:', error.message);
+  });
+
+  timer = setInterval(run, SWEEP_INTERVAL_MS);
+  run();
+};
+
+const stopLiveLocationJob = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  startLiveLocationJob,
+  stopLiveLocationJob,
+  sweepExpiredLiveLocations
+};
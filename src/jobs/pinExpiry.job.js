@@ -0,0 +1,52 @@
+const pinService = require('../services/pin.service');
+const { getIo } = require('../config/socket');
+const { emitToChatMembers } = require('../sockets/message.socket');
+const logger = require('../utils/logger');
+
+// How often expired pins are swept
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+let timer = null;
+
+/**
+ * Remove expired pins and tell chat members they are gone
+ */
+const sweepExpiredPins = async () => {
+  const removed = await pinService.removeExpiredPins();
+
+  if (removed.length === 0) return;
+
+  const io = getIo();
+  for (const pin of removed) {
+    await emitToChatMembers(io, pin.chat_id, 'message_unpinned', {
+      chat_id: pin.chat_id,
+      message_id: pin.message_id,
+      unpinned_by: null,
+      reason: 'expired'
+    });
+  }
+
+  logger.info(`Removed ${removed.length} expired pinned message(s)`);
+};
+
+const startPinExpiryJob = () => {
+  if (timer) return;
+
+  const run = () => sweepExpiredPins().catch(error => {
+    logger.error('Error sweeping expired pins:', error.message);
+  });
+
+  timer = setInterval(run, SWEEP_INTERVAL_MS);
+  run();
+};
+
+const stopPinExpiryJob = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  startPinExpiryJob,
+  stopPinExpiryJob,
+  sweepExpiredPins
+};
@@ -0,0 +1,80 @@
+const scheduledMessageService = require('../services/scheduledMessage.service');
+const { getIo } = require('../config/socket');
+const { deliverNewMessage } = require('../sockets/message.socket');
+const logger = require('../utils/logger');
+
+// How often the scheduler looks for due messages
+const POLL_INTERVAL_MS = 10 * 1000;
+
+let timer = null;
+let running = false;
+
+/**
+ * Send every due scheduled message through the normal delivery path
+ */
+const sendDueScheduledMessages = async () => {
+  // Skip the tick if the previous run is still going
+  if (running) return;
+  running = true;
+
+  try {
+    // Rows a crashed process left mid-send are failed rather than resent
+    const interrupted = await scheduledMessageService.failInterruptedScheduledMessages();
+    if (interrupted > 0) logger.warn(`${interrupted} interrupted scheduled message(s) marked as failed`);
+
+    const io = getIo();
+    const dueIds = await scheduledMessageService.getDueScheduledMessageIds();
+
+    for (const id of dueIds) {
+      try {
+        const result = await scheduledMessageService.dispatchScheduledMessage(id);
+        if (!result) continue; // Claimed elsewhere
+
+        const { scheduled, message } = result;
+
+        // Same confirmation the sender gets from send_message, on all their devices
+        io.to(`user:${scheduled.sender_id}`).emit('message_sent', {
+          scheduled_message_id: scheduled.id,
+          message
+        });
+
+        const delivery = await deliverNewMessage(io, message);
+
+        logger.info('Scheduled message sent:', {
+          scheduledMessageId: scheduled.id,
+          messageId: message.id,
+          chatId: message.chat_id,
+          deliveredToOnline: delivery.delivered,
+          queuedForOffline: delivery.queued
+        });
+      } catch (error) {
+        logger.error(`Error sending scheduled message ${id}:`, error.message);
+      }
+    }
+  } finally {
+    running = false;
+  }
+};
+
+const startScheduledMessageJob = () => {
+  if (timer) return;
+
+  const run = () => sendDueScheduledMessages().catch(error => {
+    logger.error('Error running message scheduler:', error.message);
+  });
+
+  // Overdue pending messages go out on the first run
+  timer = setInterval(run, POLL_INTERVAL_MS);
+  run();
+};
+
+const stopScheduledMessageJob = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  startScheduledMessageJob,
+  stopScheduledMessageJob,
+  sendDueScheduledMessages
+};
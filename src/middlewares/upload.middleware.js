@@ -23,6 +23,26 @@ const mediaFileFilter = (req, file, cb) => {
   }
 };
 
+// File filter for audio messages and voice notes (ogg/opus, m4a, mp3, webm)
+const audioFileFilter = (req, file, cb) => {
+  // Recorders label webm and ogg audio inconsistently, so check the extension too
+  const audioMimetype = file.mimetype.startsWith('audio/') || ['video/webm', 'application/ogg'].includes(file.mimetype);
+  if (audioMimetype && /\.(ogg|opus|oga|m4a|mp3|webm)$/i.test(file.originalname)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Only ogg, opus, m4a, mp3 or webm audio files are allowed!'), false);
+  }
+};
+
+// File filter for WhatsApp chat exports (.txt transcript or .zip with media)
+const chatExportFileFilter = (req, file, cb) => {
+  if (/\.(txt|zip)$/i.test(file.originalname)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Only .txt or .zip chat exports are allowed!'), false);
+  }
+};
+
 // Configure multer for profile pictures
 const upload = multer({
   storage: storage,
@@ -41,5 +61,25 @@ const uploadMedia = multer({
   }
 });
 
+// Configure multer for audio messages
+const uploadAudio = multer({
+  storage: storage,
+  fileFilter: audioFileFilter,
+  limits: {
+    fileSize: 16 * 1024 * 1024 // 16MB max audio file size
+  }
+});
+
+// Configure multer for chat imports (zip exports carry the chat's media)
+const uploadChatExport = multer({
+  storage: storage,
+  fileFilter: chatExportFileFilter,
+  limits: {
+    fileSize: 100 * 1024 * 1024 // 100MB max export size
+  }
+});
+
 module.exports = upload;
 module.exports.uploadMedia = uploadMedia;
+module.exports.uploadAudio = uploadAudio;
+module.exports.uploadChatExport = uploadChatExport;
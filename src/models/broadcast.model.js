@@ -0,0 +1,34 @@
+const { DataTypes } = require('sequelize');
+
+// One send to a broadcast list; each recipient's copy is a private-chat
+// message pointing back here through messages.broadcast_id
+module.exports = (sequelize) => {
+  const Broadcast = sequelize.define('Broadcast', {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    list_id: { type: DataTypes.INTEGER, allowNull: false },
+    sender_id: { type: DataTypes.INTEGER, allowNull: false },
+    message_type: { type: DataTypes.STRING(20), allowNull: false },
+    content: { type: DataTypes.TEXT, allowNull: false },
+    caption: { type: DataTypes.TEXT, allowNull: true },
+    recipient_count: { type: DataTypes.INTEGER, defaultValue: 0 },
+    sent_at: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  }, {
+    tableName: 'broadcasts',
+    timestamps: false,
+    indexes: [
+      { fields: ['list_id', 'sent_at'] }
+    ]
+  });
+
+  Broadcast.associate = (models) => {
+    Broadcast.belongsTo(models.BroadcastList, { foreignKey: 'list_id' });
+    Broadcast.belongsTo(models.User, { foreignKey: 'sender_id' });
+    Broadcast.hasMany(models.Message, { foreignKey: 'broadcast_id' });
+  };
+
+  return Broadcast;
+};
@@ -0,0 +1,35 @@
+const { DataTypes } = require('sequelize');
+
+// Named recipient lists a user sends one-to-many messages to
+module.exports = (sequelize) => {
+  const BroadcastList = sequelize.define('BroadcastList', {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    owner_id: { type: DataTypes.INTEGER, allowNull: false },
+    name: { type: DataTypes.STRING(100), allowNull: false },
+    created_at: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    updated_at: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  }, {
+    tableName: 'broadcast_lists',
+    timestamps: false,
+    indexes: [
+      { fields: ['owner_id'] }
+    ]
+  });
+
+  BroadcastList.associate = (models) => {
+    BroadcastList.belongsTo(models.User, { foreignKey: 'owner_id', as: 'Owner' });
+    BroadcastList.belongsToMany(models.User, {
+      through: models.BroadcastListMember,
+      foreignKey: 'list_id',
+      otherKey: 'user_id',
+      as: 'Recipients'
+    });
+    BroadcastList.hasMany(models.Broadcast, { foreignKey: 'list_id' });
+  };
+
+  return BroadcastList;
+};
@@ -0,0 +1,20 @@
+const { DataTypes } = require('sequelize');
+
+// Recipients of a broadcast list
+module.exports = (sequelize) => {
+  const BroadcastListMember = sequelize.define('BroadcastListMember', {
+    list_id: { type: DataTypes.INTEGER, allowNull: false, primaryKey: true },
+    user_id: { type: DataTypes.INTEGER, allowNull: false, primaryKey: true },
+    added_at: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  }, {
+    tableName: 'broadcast_list_members',
+    timestamps: false
+  });
+
+  BroadcastListMember.associate = (models) => {
+    BroadcastListMember.belongsTo(models.BroadcastList, { foreignKey: 'list_id' });
+    BroadcastListMember.belongsTo(models.User, { foreignKey: 'user_id' });
+  };
+
+  return BroadcastListMember;
+};
@@ -12,6 +12,14 @@ module.exports = (sequelize) => {
     group_icon: { type: DataTypes.TEXT },
     group_description: { type: DataTypes.TEXT },
     created_by: { type: DataTypes.INTEGER },
+    // Group setting: only admins may pin/unpin messages
+    pin_admins_only: { type: DataTypes.BOOLEAN, defaultValue: false },
+    // Group setting: only admins may change chat settings such as disappearing messages
+    settings_admins_only: { type: DataTypes.BOOLEAN, defaultValue: false },
+    disappearing_ttl: {
+      type: DataTypes.ENUM('off', '24h', '7d', '90d'),
+      defaultValue: 'off'
+    },
     created_at: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
   }, {
     tableName: 'chats',
@@ -27,6 +35,7 @@ module.exports = (sequelize) => {
     });
     Chat.hasMany(models.Message, { foreignKey: 'chat_id' });
     Chat.hasMany(models.ChatMember, { foreignKey: 'chat_id' });
+    Chat.hasMany(models.PinnedMessage, { foreignKey: 'chat_id' });
   };
 
   return Chat;
@@ -0,0 +1,23 @@
+const { DataTypes } = require('sequelize');
+
+// Unsent composer text per user and chat, synced across the user's devices
+module.exports = (sequelize) => {
+  const ChatDraft = sequelize.define('ChatDraft', {
+    user_id: { type: DataTypes.INTEGER, allowNull: false, primaryKey: true },
+    chat_id: { type: DataTypes.INTEGER, allowNull: false, primaryKey: true },
+    content: { type: DataTypes.TEXT, allowNull: false, defaultValue: '' },
+    reply_to: { type: DataTypes.INTEGER, allowNull: true },
+    updated_at: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  }, {
+    tableName: 'chat_drafts',
+    timestamps: false
+  });
+
+  ChatDraft.associate = (models) => {
+    ChatDraft.belongsTo(models.User, { foreignKey: 'user_id' });
+    ChatDraft.belongsTo(models.Chat, { foreignKey: 'chat_id' });
+    ChatDraft.belongsTo(models.Message, { foreignKey: 'reply_to', as: 'ReplyTo' });
+  };
+
+  return ChatDraft;
+};
@@ -6,8 +6,23 @@ const Chat = require('./chat.model');
 const ChatMember = require('./chatMember.model');
 const Message = require('./message.model');
 const MessageStatus = require('./messageStatus.model');
+const MessageEdit = require('./messageEdit.model');
+const MessageDeletion = require('./messageDeletion.model');
+const MessageReaction = require('./messageReaction.model');
+const StarredMessage = require('./starredMessage.model');
+const PinnedMessage = require('./pinnedMessage.model');
+const ScheduledMessage = require('./scheduledMessage.model');
+const PollOption = require('./pollOption.model');
+const PollVote = require('./pollVote.model');
+const LiveLocationShare = require('./liveLocationShare.model');
+const LinkPreview = require('./linkPreview.model');
+const MessageMention = require('./messageMention.model');
 const CorporateContact = require('./corporateContact.model');
 const UserContact = require('./userContact.model');
+const BroadcastList = require('./broadcastList.model');
+const BroadcastListMember = require('./broadcastListMember.model');
+const Broadcast = require('./broadcast.model');
+const ChatDraft = require('./chatDraft.model');
 
 const db = {
   Sequelize,
@@ -17,8 +32,23 @@ const db = {
   ChatMember: ChatMember(sequelize),
   Message: Message(sequelize),
   MessageStatus: MessageStatus(sequelize),
+  MessageEdit: MessageEdit(sequelize),
+  MessageDeletion: MessageDeletion(sequelize),
+  MessageReaction: MessageReaction(sequelize),
+  StarredMessage: StarredMessage(sequelize),
+  PinnedMessage: PinnedMessage(sequelize),
+  ScheduledMessage: ScheduledMessage(sequelize),
+  PollOption: PollOption(sequelize),
+  PollVote: PollVote(sequelize),
+  LiveLocationShare: LiveLocationShare(sequelize),
+  LinkPreview: LinkPreview(sequelize),
+  MessageMention: MessageMention(sequelize),
   CorporateContact: CorporateContact(sequelize),
-  UserContact: UserContact(sequelize)
+  UserContact: UserContact(sequelize),
+  BroadcastList: BroadcastList(sequelize),
+  BroadcastListMember: BroadcastListMember(sequelize),
+  Broadcast: Broadcast(sequelize),
+  ChatDraft: ChatDraft(sequelize)
 };
 
 // Call associate methods for all models
@@ -0,0 +1,20 @@
+const { DataTypes } = require('sequelize');
+
+// Shared cache of fetched link previews, keyed by URL
+module.exports = (sequelize) => {
+  const LinkPreview = sequelize.define('LinkPreview', {
+    url: { type: DataTypes.STRING(2048), primaryKey: true },
+    title: { type: DataTypes.STRING(300), allowNull: true },
+    description: { type: DataTypes.TEXT, allowNull: true },
+    image_url: { type: DataTypes.TEXT, allowNull: true },
+    site_name: { type: DataTypes.STRING(200), allowNull: true },
+    // False when the page could not be fetched or had no usable metadata
+    has_preview: { type: DataTypes.BOOLEAN, defaultValue: false },
+    fetched_at: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  }, {
+    tableName: 'link_previews',
+    timestamps: false
+  });
+
+  return LinkPreview;
+};
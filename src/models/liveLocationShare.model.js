@@ -0,0 +1,34 @@
+const { DataTypes } = require('sequelize');
+
+// State of a live-location share - one per live_location message.
+// Holds the latest position so late joiners can see where the sender is.
+module.exports = (sequelize) => {
+  const LiveLocationShare = sequelize.define('LiveLocationShare', {
+    message_id: { type: DataTypes.INTEGER, allowNull: false, primaryKey: true },
+    chat_id: { type: DataTypes.INTEGER, allowNull: false },
+    sender_id: { type: DataTypes.INTEGER, allowNull: false },
+    latitude: { type: DataTypes.DOUBLE, allowNull: false },
+    longitude: { type: DataTypes.DOUBLE, allowNull: false },
+    accuracy: { type: DataTypes.FLOAT, allowNull: true },
+    started_at: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    expires_at: { type: DataTypes.DATE, allowNull: false },
+    // Set when the sender stops sharing or the duration runs out
+    ended_at: { type: DataTypes.DATE, allowNull: true },
+    updated_at: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  }, {
+    tableName: 'live_location_shares',
+    timestamps: false,
+    indexes: [
+      { fields: ['chat_id', 'sender_id'] },
+      { fields: ['expires_at'] }
+    ]
+  });
+
+  LiveLocationShare.associate = (models) => {
+    LiveLocationShare.belongsTo(models.Message, { foreignKey: 'message_id' });
+    LiveLocationShare.belongsTo(models.Chat, { foreignKey: 'chat_id' });
+    LiveLocationShare.belongsTo(models.User, { foreignKey: 'sender_id' });
+  };
+
+  return LiveLocationShare;
+};
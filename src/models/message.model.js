@@ -10,27 +10,91 @@ module.exports = (sequelize) => {
     chat_id: { type: DataTypes.INTEGER, allowNull: false },
     sender_id: { type: DataTypes.INTEGER, allowNull: false },
     message_type: {
-      type: DataTypes.ENUM('text', 'image', 'video', 'audio', 'file'),
+      type: DataTypes.ENUM('text', 'image', 'video', 'audio', 'file', 'system', 'poll', 'location', 'live_location', 'contact'),
       defaultValue: 'text'
     },
     content: { type: DataTypes.TEXT, allowNull: false },
     caption: { type: DataTypes.TEXT, allowNull: true },
+    // Poll messages: content is the question, options live in poll_options
+    poll_allow_multiple: { type: DataTypes.BOOLEAN, defaultValue: false },
+    // Location messages (starting position for live_location)
+    latitude: { type: DataTypes.DOUBLE, allowNull: true },
+    longitude: { type: DataTypes.DOUBLE, allowNull: true },
+    location_accuracy: { type: DataTypes.FLOAT, allowNull: true },
+    location_name: { type: DataTypes.STRING, allowNull: true },
+    // Audio messages: length in seconds and a compact amplitude waveform (0-100 per bar)
+    audio_duration: { type: DataTypes.FLOAT, allowNull: true },
+    audio_waveform: { type: DataTypes.JSONB, allowNull: true },
+    // Preview of the first link in a text message, filled in after sending
+    link_preview: { type: DataTypes.JSONB, allowNull: true },
     reply_to: { type: DataTypes.INTEGER },
+    // Client-generated id, unique per sender, so retried sends are not stored twice
+    client_message_id: { type: DataTypes.STRING(64), allowNull: true },
+    // Set on each recipient's copy of a broadcast list message
+    broadcast_id: { type: DataTypes.INTEGER, allowNull: true },
+    // Forwarding provenance - source message and how many hops it has travelled
+    forwarded_from_message_id: { type: DataTypes.INTEGER, allowNull: true },
+    forward_count: { type: DataTypes.INTEGER, defaultValue: 0 },
     sent_at: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    edited_at: { type: DataTypes.DATE, allowNull: true },
+    // Tombstone for "delete for everyone"
+    is_deleted: { type: DataTypes.BOOLEAN, defaultValue: false },
+    deleted_at: { type: DataTypes.DATE, allowNull: true },
+    // Set when the chat has disappearing messages on; removed by the sweeper
+    expires_at: { type: DataTypes.DATE, allowNull: true },
+    // History brought over from a WhatsApp export, with the sender name as written there
+    is_imported: { type: DataTypes.BOOLEAN, defaultValue: false },
+    imported_sender: { type: DataTypes.STRING, allowNull: true },
     status: {
       type: DataTypes.ENUM('sent', 'delivered', 'read'),
       defaultValue: 'sent'
     }
   }, {
     tableName: 'messages',
-    timestamps: false
+    timestamps: false,
+    indexes: [
+      { fields: ['expires_at'] },
+      { fields: ['chat_id', 'id'] },
+      { unique: true, fields: ['sender_id', 'client_message_id'] },
+      { fields: ['broadcast_id'] }
+    ],
+    hooks: {
+      // search_vector is generated by PostgreSQL, which sync cannot declare as an attribute;
+      // same column and index as migrations/add_message_search.sql
+      afterSync: async () => {
+        await sequelize.query(`
+          ALTER TABLE messages
+          ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+          GENERATED ALWAYS AS (
+            to_tsvector('simple',
+              CASE
+                WHEN message_type IN ('image', 'video', 'audio', 'file', 'contact') THEN coalesce(caption, '')
+                ELSE coalesce(content, '') || ' ' || coalesce(caption, '')
+              END
+            )
+          ) STORED
+        `);
+        await sequelize.query('CREATE INDEX IF NOT EXISTS idx_messages_search_vector ON messages USING GIN (search_vector)');
+      }
+    }
   });
 
   Message.associate = (models) => {
     Message.belongsTo(models.Chat, { foreignKey: 'chat_id' });
     Message.belongsTo(models.User, { foreignKey: 'sender_id', as: 'User' });
     Message.belongsTo(models.Message, { foreignKey: 'reply_to', as: 'ReplyTo' });
+    Message.belongsTo(models.Message, { foreignKey: 'forwarded_from_message_id', as: 'ForwardedFrom' });
     Message.hasMany(models.MessageStatus, { foreignKey: 'message_id' });
+    Message.hasMany(models.MessageEdit, { foreignKey: 'message_id' });
+    Message.hasMany(models.MessageDeletion, { foreignKey: 'message_id' });
+    Message.hasMany(models.MessageReaction, { foreignKey: 'message_id' });
+    Message.hasMany(models.StarredMessage, { foreignKey: 'message_id' });
+    Message.hasMany(models.PinnedMessage, { foreignKey: 'message_id' });
+    Message.hasMany(models.PollOption, { foreignKey: 'message_id' });
+    Message.hasMany(models.PollVote, { foreignKey: 'message_id' });
+    Message.hasOne(models.LiveLocationShare, { foreignKey: 'message_id' });
+    Message.hasMany(models.MessageMention, { foreignKey: 'message_id' });
+    Message.belongsTo(models.Broadcast, { foreignKey: 'broadcast_id' });
   };
 
   return Message;
@@ -0,0 +1,20 @@
+const { DataTypes } = require('sequelize');
+
+// "Delete for me" - hides a message for a single user only
+module.exports = (sequelize) => {
+  const MessageDeletion = sequelize.define('MessageDeletion', {
+    message_id: { type: DataTypes.INTEGER, allowNull: false, primaryKey: true },
+    user_id: { type: DataTypes.INTEGER, allowNull: false, primaryKey: true },
+    deleted_at: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  }, {
+    tableName: 'message_deletions',
+    timestamps: false
+  });
+
+  MessageDeletion.associate = (models) => {
+    MessageDeletion.belongsTo(models.Message, { foreignKey: 'message_id' });
+    MessageDeletion.belongsTo(models.User, { foreignKey: 'user_id' });
+  };
+
+  return MessageDeletion;
+};
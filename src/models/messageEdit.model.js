@@ -0,0 +1,29 @@
+const { DataTypes } = require('sequelize');
+
+// Earlier versions of an edited message (one row per edit)
+module.exports = (sequelize) => {
+  const MessageEdit = sequelize.define('MessageEdit', {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    message_id: { type: DataTypes.INTEGER, allowNull: false },
+    content: { type: DataTypes.TEXT, allowNull: false },
+    caption: { type: DataTypes.TEXT, allowNull: true },
+    // When this version was replaced
+    edited_at: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  }, {
+    tableName: 'message_edits',
+    timestamps: false,
+    indexes: [
+      { fields: ['message_id'] }
+    ]
+  });
+
+  MessageEdit.associate = (models) => {
+    MessageEdit.belongsTo(models.Message, { foreignKey: 'message_id' });
+  };
+
+  return MessageEdit;
+};
@@ -0,0 +1,27 @@
+const { DataTypes } = require('sequelize');
+
+// A user @mentioned in a group message
+module.exports = (sequelize) => {
+  const MessageMention = sequelize.define('MessageMention', {
+    message_id: { type: DataTypes.INTEGER, allowNull: false, primaryKey: true },
+    user_id: { type: DataTypes.INTEGER, allowNull: false, primaryKey: true },
+    // Denormalised so unread mention counts can be grouped per chat
+    chat_id: { type: DataTypes.INTEGER, allowNull: false },
+    mentioned_at: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  }, {
+    tableName: 'message_mentions',
+    timestamps: false,
+    indexes: [
+      { fields: ['user_id', 'mentioned_at'] },
+      { fields: ['user_id', 'chat_id'] }
+    ]
+  });
+
+  MessageMention.associate = (models) => {
+    MessageMention.belongsTo(models.Message, { foreignKey: 'message_id' });
+    MessageMention.belongsTo(models.User, { foreignKey: 'user_id' });
+    MessageMention.belongsTo(models.Chat, { foreignKey: 'chat_id' });
+  };
+
+  return MessageMention;
+};
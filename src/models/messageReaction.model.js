@@ -0,0 +1,24 @@
+const { DataTypes } = require('sequelize');
+
+// One emoji reaction per user per message - reacting again replaces it
+module.exports = (sequelize) => {
+  const MessageReaction = sequelize.define('MessageReaction', {
+    message_id: { type: DataTypes.INTEGER, allowNull: false, primaryKey: true },
+    user_id: { type: DataTypes.INTEGER, allowNull: false, primaryKey: true },
+    emoji: { type: DataTypes.STRING(32), allowNull: false },
+    reacted_at: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  }, {
+    tableName: 'message_reactions',
+    timestamps: false,
+    indexes: [
+      { fields: ['message_id', 'emoji'] }
+    ]
+  });
+
+  MessageReaction.associate = (models) => {
+    MessageReaction.belongsTo(models.Message, { foreignKey: 'message_id' });
+    MessageReaction.belongsTo(models.User, { foreignKey: 'user_id' });
+  };
+
+  return MessageReaction;
+};
@@ -9,6 +9,11 @@ module.exports = (sequelize) => {
       allowNull: false,
       defaultValue: 'sent'
     },
+    // Kept separately so the delivered time survives the later read receipt
+    delivered_at: { type: DataTypes.DATE, allowNull: true },
+    read_at: { type: DataTypes.DATE, allowNull: true },
+    // Audio messages only: when the recipient first played it (playing also reads it)
+    played_at: { type: DataTypes.DATE, allowNull: true },
     updated_at: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
   }, {
     tableName: 'message_statuses',
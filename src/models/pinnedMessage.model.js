@@ -0,0 +1,32 @@
+const { DataTypes } = require('sequelize');
+
+// Messages pinned to the top of a chat, optionally until expires_at
+module.exports = (sequelize) => {
+  const PinnedMessage = sequelize.define('PinnedMessage', {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    chat_id: { type: DataTypes.INTEGER, allowNull: false },
+    message_id: { type: DataTypes.INTEGER, allowNull: false },
+    pinned_by: { type: DataTypes.INTEGER, allowNull: false },
+    pinned_at: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    expires_at: { type: DataTypes.DATE, allowNull: true }
+  }, {
+    tableName: 'pinned_messages',
+    timestamps: false,
+    indexes: [
+      { unique: true, fields: ['chat_id', 'message_id'] },
+      { fields: ['expires_at'] }
+    ]
+  });
+
+  PinnedMessage.associate = (models) => {
+    PinnedMessage.belongsTo(models.Chat, { foreignKey: 'chat_id' });
+    PinnedMessage.belongsTo(models.Message, { foreignKey: 'message_id' });
+    PinnedMessage.belongsTo(models.User, { foreignKey: 'pinned_by', as: 'PinnedBy' });
+  };
+
+  return PinnedMessage;
+};
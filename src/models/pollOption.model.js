@@ -0,0 +1,28 @@
+const { DataTypes } = require('sequelize');
+
+// Answer options of a poll message
+module.exports = (sequelize) => {
+  const PollOption = sequelize.define('PollOption', {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    message_id: { type: DataTypes.INTEGER, allowNull: false },
+    text: { type: DataTypes.STRING(100), allowNull: false },
+    position: { type: DataTypes.INTEGER, allowNull: false }
+  }, {
+    tableName: 'poll_options',
+    timestamps: false,
+    indexes: [
+      { fields: ['message_id'] }
+    ]
+  });
+
+  PollOption.associate = (models) => {
+    PollOption.belongsTo(models.Message, { foreignKey: 'message_id' });
+    PollOption.hasMany(models.PollVote, { foreignKey: 'option_id' });
+  };
+
+  return PollOption;
+};
@@ -0,0 +1,25 @@
+const { DataTypes } = require('sequelize');
+
+// A user's vote for one poll option (multi-choice polls allow several per user)
+module.exports = (sequelize) => {
+  const PollVote = sequelize.define('PollVote', {
+    option_id: { type: DataTypes.INTEGER, allowNull: false, primaryKey: true },
+    user_id: { type: DataTypes.INTEGER, allowNull: false, primaryKey: true },
+    message_id: { type: DataTypes.INTEGER, allowNull: false },
+    voted_at: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  }, {
+    tableName: 'poll_votes',
+    timestamps: false,
+    indexes: [
+      { fields: ['message_id', 'user_id'] }
+    ]
+  });
+
+  PollVote.associate = (models) => {
+    PollVote.belongsTo(models.PollOption, { foreignKey: 'option_id' });
+    PollVote.belongsTo(models.Message, { foreignKey: 'message_id' });
+    PollVote.belongsTo(models.User, { foreignKey: 'user_id' });
+  };
+
+  return PollVote;
+};
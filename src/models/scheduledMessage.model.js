@@ -0,0 +1,49 @@
+const { DataTypes } = require('sequelize');
+
+// Messages written now and sent by the scheduler at scheduled_for
+module.exports = (sequelize) => {
+  const ScheduledMessage = sequelize.define('ScheduledMessage', {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    sender_id: { type: DataTypes.INTEGER, allowNull: false },
+    chat_id: { type: DataTypes.INTEGER, allowNull: false },
+    message_type: {
+      type: DataTypes.ENUM('text', 'image', 'video', 'audio', 'file'),
+      defaultValue: 'text'
+    },
+    content: { type: DataTypes.TEXT, allowNull: false },
+    caption: { type: DataTypes.TEXT, allowNull: true },
+    reply_to: { type: DataTypes.INTEGER, allowNull: true },
+    // Audio messages: same as messages.audio_duration / audio_waveform
+    audio_duration: { type: DataTypes.FLOAT, allowNull: true },
+    audio_waveform: { type: DataTypes.JSONB, allowNull: true },
+    scheduled_for: { type: DataTypes.DATE, allowNull: false },
+    status: {
+      type: DataTypes.ENUM('pending', 'sending', 'sent', 'cancelled', 'failed'),
+      defaultValue: 'pending'
+    },
+    // When a scheduler process moved the row to 'sending'
+    claimed_at: { type: DataTypes.DATE, allowNull: true },
+    sent_message_id: { type: DataTypes.INTEGER, allowNull: true },
+    error: { type: DataTypes.TEXT, allowNull: true },
+    created_at: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  }, {
+    tableName: 'scheduled_messages',
+    timestamps: false,
+    indexes: [
+      { fields: ['status', 'scheduled_for'] },
+      { fields: ['sender_id'] }
+    ]
+  });
+
+  ScheduledMessage.associate = (models) => {
+    ScheduledMessage.belongsTo(models.User, { foreignKey: 'sender_id' });
+    ScheduledMessage.belongsTo(models.Chat, { foreignKey: 'chat_id' });
+    ScheduledMessage.belongsTo(models.Message, { foreignKey: 'sent_message_id', as: 'SentMessage' });
+  };
+
+  return ScheduledMessage;
+};
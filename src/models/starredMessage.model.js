@@ -0,0 +1,23 @@
+const { DataTypes } = require('sequelize');
+
+// Messages a user has starred (per user, across all chats)
+module.exports = (sequelize) => {
+  const StarredMessage = sequelize.define('StarredMessage', {
+    user_id: { type: DataTypes.INTEGER, allowNull: false, primaryKey: true },
+    message_id: { type: DataTypes.INTEGER, allowNull: false, primaryKey: true },
+    starred_at: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  }, {
+    tableName: 'starred_messages',
+    timestamps: false,
+    indexes: [
+      { fields: ['user_id', 'starred_at'] }
+    ]
+  });
+
+  StarredMessage.associate = (models) => {
+    StarredMessage.belongsTo(models.Message, { foreignKey: 'message_id' });
+    StarredMessage.belongsTo(models.User, { foreignKey: 'user_id' });
+  };
+
+  return StarredMessage;
+};
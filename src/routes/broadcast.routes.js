@@ -0,0 +1,21 @@
+const express = require('express');
+const controller = require('../controllers/broadcast.controller');
+const auth = require('../middlewares/auth.middleware');
+
+const router = express.Router();
+
+// Broadcast lists are private to their owner
+router.use(auth);
+
+router.post('/', controller.createBroadcastList);
+router.get('/', controller.getBroadcastLists);
+router.get('/:listId', controller.getBroadcastList);
+router.patch('/:listId', controller.updateBroadcastList);
+router.delete('/:listId', controller.deleteBroadcastList);
+
+// Send to the list, then follow delivery/read stats
+router.post('/:listId/send', controller.sendBroadcast);
+router.get('/:listId/messages', controller.getBroadcasts);
+router.get('/:listId/messages/:broadcastId', controller.getBroadcastStats);
+
+module.exports = router;
@@ -1,11 +1,17 @@
 const express = require('express');
 const controller = require('../controllers/chat.controller');
 const auth = require('../middlewares/auth.middleware');
+const { uploadChatExport } = require('../middlewares/upload.middleware');
 
 const router = express.Router();
 
 router.use(auth);
 router.post('/', controller.createChat);
 router.get('/', controller.getChats);
+router.post('/import', uploadChatExport.single('file'), controller.importChat);
+router.patch('/:chatId/settings', controller.updateChatSettings);
+router.get('/:chatId/pins', controller.getChatPins);
+router.get('/:chatId/media', controller.getChatMedia);
+router.get('/:chatId/export', controller.exportChat);
 
 module.exports = router;
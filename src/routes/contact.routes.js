@@ -39,6 +39,13 @@ router.post('/', contactController.addContact);
  */
 router.post('/bulk', contactController.addBulkContacts);
 
+/**
+ * POST /api/contacts/import
+ * Add the contacts shared in a contact message to user's list
+ * Body: { message_id }
+ */
+router.post('/import', contactController.importContactsFromMessage);
+
 /**
  * DELETE /api/contacts/:corporateContactId
  * Remove contact from user's list
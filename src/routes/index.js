@@ -4,6 +4,7 @@ const userRoutes = require('./user.routes');
 const chatRoutes = require('./chat.routes');
 const messageRoutes = require('./message.routes');
 const contactRoutes = require('./contact.routes');
+const broadcastRoutes = require('./broadcast.routes');
 
 const router = express.Router();
 
@@ -11,5 +12,6 @@ router.use('/users', userRoutes);
 router.use('/chats', chatRoutes);
 router.use('/messages', messageRoutes);
 router.use('/contacts', contactRoutes);
+router.use('/broadcasts', broadcastRoutes);
 
 module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const controller = require('../controllers/message.controller');
 const auth = require('../middlewares/auth.middleware');
-const { uploadMedia } = require('../middlewares/upload.middleware');
+const { uploadMedia, uploadAudio } = require('../middlewares/upload.middleware');
 
 const router = express.Router();
 
@@ -11,22 +11,58 @@ router.use(auth);
 // IMPORTANT: Specific routes must come BEFORE parameterized routes
 // Otherwise Express will match "unread" or "search" as :chatId
 
+// Send a message (the send_message socket event is the primary path)
+router.post('/', controller.sendMessage);
+
 // Upload message media (image/video) - supports single or multiple files
 router.post('/upload-media', uploadMedia.array('media', 10), controller.uploadMedia);
 
+// Upload an audio message / voice note (ogg/opus, m4a, mp3, webm)
+router.post('/upload-audio', uploadAudio.single('audio'), controller.uploadAudio);
+
 // Get unread count (must be before /:chatId)
 router.get('/unread/count', controller.getUnreadCount);
 
 // Get chat unread count (must be before /:chatId)
 router.get('/unread/count/:chatId', controller.getChatUnreadCount);
 
+// Scheduled messages (must be before /:chatId)
+router.post('/scheduled', controller.scheduleMessage);
+router.get('/scheduled', controller.getScheduledMessages);
+router.delete('/scheduled/:scheduledMessageId', controller.cancelScheduledMessage);
+
+// Get starred messages across all chats (must be before /:chatId)
+router.get('/starred', controller.getStarredMessages);
+
+// Get recent @mentions of the current user (must be before /:chatId)
+router.get('/mentions', controller.getMentions);
+
+// Search messages across all chats (must be before /:chatId)
+router.get('/search', controller.searchAllMessages);
+
 // Search messages in a chat (must be before /:chatId)
 router.get('/search/:chatId', controller.searchMessages);
 
+// Star / unstar a message for the current user
+router.post('/:messageId/star', controller.starMessage);
+router.delete('/:messageId/star', controller.unstarMessage);
+
+// Forward a message to other chats
+router.post('/:messageId/forward', controller.forwardMessage);
+
+// Get edit history of a message
+router.get('/:messageId/history', controller.getMessageEditHistory);
+
+// Get the reply thread a message belongs to
+router.get('/:messageId/thread', controller.getThread);
+
+// Get who a message was delivered to / read by (sender only)
+router.get('/:messageId/receipts', controller.getMessageReceipts);
+
 // Get messages for a chat (read-only operations via REST)
 router.get('/:chatId', controller.getMessages);
 
-// NOTE: All write operations (send, update status, delete) are handled via Socket.io
+// NOTE: Other write operations (update status, delete, edit) are handled via Socket.io
 // for real-time functionality. Use WebSocket events instead of REST endpoints.
 
 module.exports = router;
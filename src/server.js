@@ -5,6 +5,7 @@ const http = require('http');
 const app = require('./app');
 const { initSocket } = require('./config/socket');
 const sequelize = require('./config/db');
+const { startJobs } = require('./jobs');
 const { PORT = 3000 } = process.env;
 
 const server = http.createServer(app);
@@ -21,6 +22,9 @@ sequelize.authenticate()
   })
   .then(() => {
     console.log('✓ Database models synchronized');
+
+    // Background jobs (expired pins, scheduled messages, ...)
+    startJobs();
     
     // Listen on 0.0.0.0 to allow connections from other devices on the network
     server.listen(PORT, '0.0.0.0', () => {
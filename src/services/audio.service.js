@@ -0,0 +1,57 @@
+const { MAX_AUDIO_DURATION, AUDIO_WAVEFORM_SAMPLES } = require('../constants');
+
+// Longest waveform a client may send before it is downsampled
+const MAX_WAVEFORM_INPUT = 4096;
+
+/**
+ * Shrink a waveform to at most AUDIO_WAVEFORM_SAMPLES bars,
+ * keeping the loudest sample of each bucket so peaks survive
+ */
+const compactWaveform = (samples) => {
+  if (samples.length <= AUDIO_WAVEFORM_SAMPLES) return samples;
+
+  const bars = [];
+  for (let i = 0; i < AUDIO_WAVEFORM_SAMPLES; i++) {
+    const start = Math.floor(i * samples.length / AUDIO_WAVEFORM_SAMPLES);
+    const end = Math.floor((i + 1) * samples.length / AUDIO_WAVEFORM_SAMPLES);
+    bars.push(Math.max(...samples.slice(start, end)));
+  }
+  return bars;
+};
+
+/**
+ * Validate the `audio` payload of an audio message
+ * duration (seconds) is required; waveform is optional, amplitudes 0-100.
+ * @returns {{duration: Number, waveform: Number[]|null}}
+ */
+const validateAudio = (audio) => {
+  if (!audio || typeof audio !== 'object' || Array.isArray(audio)) {
+    throw new Error('audio is required: { duration, waveform }');
+  }
+
+  const duration = Number(audio.duration);
+  if (audio.duration === null || audio.duration === undefined || !Number.isFinite(duration)
+    || duration <= 0 || duration > MAX_AUDIO_DURATION) {
+    throw new Error(`audio.duration must be a number of seconds between 0 and ${MAX_AUDIO_DURATION}`);
+  }
+
+  let waveform = null;
+  if (audio.waveform !== null && audio.waveform !== undefined) {
+    if (!Array.isArray(audio.waveform) || audio.waveform.length === 0 || audio.waveform.length > MAX_WAVEFORM_INPUT) {
+      throw new Error(`audio.waveform must be an array of 1 to ${MAX_WAVEFORM_INPUT} samples`);
+    }
+
+    const samples = audio.waveform.map(Number);
+    if (samples.some(sample => !Number.isFinite(sample) || sample < 0 || sample > 100)) {
+      throw new Error('audio.waveform samples must be numbers between 0 and 100');
+    }
+
+    waveform = compactWaveform(samples.map(Math.round));
+  }
+
+  return { duration: Math.round(duration * 10) / 10, waveform };
+};
+
+module.exports = {
+  validateAudio
+};
@@ -0,0 +1,331 @@
+const { Op } = require('sequelize');
+const db = require('../models');
+const chatService = require('./chat.service');
+const messageService = require('./message.service');
+const audioService = require('./audio.service');
+const { MAX_BROADCAST_RECIPIENTS, MESSAGE_TYPES } = require('../constants');
+
+// Only plain text and media can be broadcast
+const BROADCAST_TYPES = [MESSAGE_TYPES.TEXT, MESSAGE_TYPES.IMAGE, MESSAGE_TYPES.VIDEO, MESSAGE_TYPES.AUDIO, MESSAGE_TYPES.FILE];
+
+const recipientInclude = () => ({
+  model: db.User,
+  as: 'Recipients',
+  attributes: ['id', 'name', 'profile_pic', 'phone_number'],
+  through: { attributes: [] }
+});
+
+/**
+ * Load a list the user owns (other users' lists look like they do not exist)
+ */
+const findOwnList = async (userId, listId, options = {}) => {
+  const list = await db.BroadcastList.findOne({
+    where: { id: listId, owner_id: userId },
+    ...options
+  });
+
+  if (!list) {
+    throw new Error('Broadcast list not found');
+  }
+
+  return list;
+};
+
+const validateName = (name) => {
+  if (typeof name !== 'string' || name.trim().length === 0) {
+    throw new Error('List name is required');
+  }
+  if (name.trim().length > 100) {
+    throw new Error('List name must be at most 100 characters');
+  }
+  return name.trim();
+};
+
+/**
+ * Validate recipients: verified Synapse users other than the owner
+ * @returns {Promise<Number[]>} de-duplicated user ids
+ */
+const validateRecipients = async (userId, recipientIds) => {
+  if (!Array.isArray(recipientIds)) {
+    throw new Error('recipient_ids must be an array');
+  }
+
+  const ids = [...new Set(recipientIds.map(id => parseInt(id)).filter(Boolean))];
+
+  if (ids.length === 0) {
+    throw new Error('At least one recipient is required');
+  }
+
+  if (ids.length > MAX_BROADCAST_RECIPIENTS) {
+    throw new Error(`Broadcast lists can have at most ${MAX_BROADCAST_RECIPIENTS} recipients`);
+  }
+
+  if (ids.includes(userId)) {
+    throw new Error('You cannot add yourself to a broadcast list');
+  }
+
+  const users = await db.User.findAll({
+    where: { id: { [Op.in]: ids }, is_verified: true },
+    attributes: ['id']
+  });
+  const found = new Set(users.map(user => user.id));
+  const missing = ids.filter(id => !found.has(id));
+
+  if (missing.length > 0) {
+    throw new Error(`Users not on Synapse: ${missing.join(', ')}`);
+  }
+
+  return ids;
+};
+
+/**
+ * Create a broadcast list
+ */
+const createBroadcastList = async (userId, { name, recipient_ids }) => {
+  const listName = validateName(name);
+  const recipients = await validateRecipients(userId, recipient_ids);
+
+  const list = await db.sequelize.transaction(async (transaction) => {
+    const created = await db.BroadcastList.create({ owner_id: userId, name: listName }, { transaction });
+    await db.BroadcastListMember.bulkCreate(
+      recipients.map(recipientId => ({ list_id: created.id, user_id: recipientId })),
+      { transaction }
+    );
+    return created;
+  });
+
+  return getBroadcastList(userId, list.id);
+};
+
+/**
+ * List the user's broadcast lists with their recipients
+ */
+const getBroadcastLists = async (userId) => {
+  return db.BroadcastList.findAll({
+    where: { owner_id: userId },
+    include: [recipientInclude()],
+    order: [['updated_at', 'DESC'], ['id', 'DESC']]
+  });
+};
+
+/**
+ * Get one of the user's broadcast lists
+ */
+const getBroadcastList = async (userId, listId) => {
+  return findOwnList(userId, listId, { include: [recipientInclude()] });
+};
+
+/**
+ * Rename a list and/or replace its recipients
+ * @param {Object} changes - { name, recipient_ids }
+ */
+const updateBroadcastList = async (userId, listId, { name, recipient_ids } = {}) => {
+  const list = await findOwnList(userId, listId);
+
+  const updates = {};
+  if (name !== undefined) {
+    updates.name = validateName(name);
+  }
+
+  const recipients = recipient_ids !== undefined
+    ? await validateRecipients(userId, recipient_ids)
+    : null;
+
+  await db.sequelize.transaction(async (transaction) => {
+    await list.update({ ...updates, updated_at: new Date() }, { transaction });
+
+    if (recipients) {
+      await db.BroadcastListMember.destroy({
+        where: { list_id: list.id, user_id: { [Op.notIn]: recipients } },
+        transaction
+      });
+      await db.BroadcastListMember.bulkCreate(
+        recipients.map(recipientId => ({ list_id: list.id, user_id: recipientId })),
+        { transaction, ignoreDuplicates: true }
+      );
+    }
+  });
+
+  return getBroadcastList(userId, list.id);
+};
+
+/**
+ * Delete a broadcast list and its send history
+ * Messages already delivered stay in the recipients' private chats.
+ */
+const deleteBroadcastList = async (userId, listId) => {
+  const list = await findOwnList(userId, listId);
+  await list.destroy();
+  return { id: list.id };
+};
+
+/**
+ * Send a message to every recipient of a list
+ * Each recipient gets an ordinary private-chat message (created on first use),
+ * so replies come back privately. Recipients that cannot be reached are
+ * reported in `failed` and do not stop the rest.
+ * Caller delivers the returned messages (deliverNewMessage).
+ * @returns {Promise<{broadcast: Object, messages: Array, failed: Array<{user_id, error}>}>}
+ */
+const sendBroadcast = async (userId, listId, { content, message_type = MESSAGE_TYPES.TEXT, caption = null, audio = null } = {}) => {
+  if (typeof content !== 'string' || content.trim().length === 0) {
+    throw new Error('content is required');
+  }
+
+  if (!BROADCAST_TYPES.includes(message_type)) {
+    throw new Error('Invalid message type');
+  }
+
+  if (caption !== null && caption !== undefined && typeof caption !== 'string') {
+    throw new Error('Caption must be a string');
+  }
+
+  // Checked once here rather than failing for every recipient
+  const audioInfo = message_type === MESSAGE_TYPES.AUDIO ? audioService.validateAudio(audio) : null;
+
+  const list = await findOwnList(userId, listId, { include: [recipientInclude()] });
+
+  if (list.Recipients.length === 0) {
+    throw new Error('Broadcast list has no recipients');
+  }
+
+  const broadcast = await db.Broadcast.create({
+    list_id: list.id,
+    sender_id: userId,
+    message_type,
+    content,
+    caption: (caption || '').trim() || null
+  });
+
+  const messages = [];
+  const failed = [];
+
+  for (const recipient of list.Recipients) {
+    try {
+      const chat = await chatService.createOrGetPrivateChat(userId, recipient.id);
+      messages.push(await messageService.sendMessage(userId, {
+        chat_id: chat.id,
+        content,
+        message_type,
+        caption: broadcast.caption,
+        audio: audioInfo,
+        broadcast_id: broadcast.id
+      }));
+    } catch (error) {
+      failed.push({ user_id: recipient.id, error: error.message });
+    }
+  }
+
+  await broadcast.update({ recipient_count: messages.length });
+
+  return { broadcast, messages, failed };
+};
+
+/**
+ * Summarise recipient statuses of broadcast messages
+ * played counts recipients who listened to an audio broadcast (they are also in read)
+ * @returns {Promise<Map<Number, {recipients, delivered, read, played}>>} broadcast id -> counts
+ */
+const getBroadcastCounts = async (broadcastIds) => {
+  const counts = new Map(broadcastIds.map(id => [id, { recipients: 0, delivered: 0, read: 0, played: 0 }]));
+  if (broadcastIds.length === 0) return counts;
+
+  const rows = await db.MessageStatus.findAll({
+    attributes: [
+      [db.sequelize.col('Message.broadcast_id'), 'broadcast_id'],
+      'status',
+      [db.sequelize.fn('COUNT', db.sequelize.col('MessageStatus.user_id')), 'count'],
+      [db.sequelize.fn('COUNT', db.sequelize.col('MessageStatus.played_at')), 'played']
+    ],
+    include: [{
+      model: db.Message,
+      attributes: [],
+      where: { broadcast_id: { [Op.in]: broadcastIds } }
+    }],
+    group: ['Message.broadcast_id', 'MessageStatus.status'],
+    raw: true
+  });
+
+  for (const row of rows) {
+    const summary = counts.get(row.broadcast_id);
+    const count = parseInt(row.count);
+    summary.recipients += count;
+    if (row.status === 'delivered' || row.status === 'read') summary.delivered += count;
+    if (row.status === 'read') summary.read += count;
+    summary.played += parseInt(row.played);
+  }
+
+  return counts;
+};
+
+/**
+ * Send history of a list, newest first, with delivered/read counts
+ */
+const getBroadcasts = async (userId, listId, { limit = 20, offset = 0 } = {}) => {
+  const list = await findOwnList(userId, listId);
+
+  const broadcasts = await db.Broadcast.findAll({
+    where: { list_id: list.id },
+    order: [['sent_at', 'DESC'], ['id', 'DESC']],
+    limit: Math.min(parseInt(limit) || 20, 100),
+    offset: parseInt(offset) || 0
+  });
+
+  const counts = await getBroadcastCounts(broadcasts.map(broadcast => broadcast.id));
+
+  return broadcasts.map(broadcast => ({
+    ...broadcast.toJSON(),
+    counts: counts.get(broadcast.id)
+  }));
+};
+
+/**
+ * Per-recipient delivery and read details of one broadcast
+ */
+const getBroadcastStats = async (userId, listId, broadcastId) => {
+  const list = await findOwnList(userId, listId);
+
+  const broadcast = await db.Broadcast.findOne({
+    where: { id: broadcastId, list_id: list.id }
+  });
+
+  if (!broadcast) {
+    throw new Error('Broadcast not found');
+  }
+
+  const messages = await db.Message.findAll({
+    where: { broadcast_id: broadcast.id },
+    attributes: ['id', 'chat_id', 'is_deleted'],
+    include: [{
+      model: db.MessageStatus,
+      attributes: ['user_id', 'status', 'delivered_at', 'read_at', 'played_at'],
+      include: [{ model: db.User, attributes: ['id', 'name', 'profile_pic'] }]
+    }],
+    order: [['id', 'ASC']]
+  });
+
+  const recipients = messages.flatMap(message => message.MessageStatuses.map(status => ({
+    user: status.User,
+    chat_id: message.chat_id,
+    message_id: message.id,
+    status: status.status,
+    delivered_at: status.delivered_at,
+    read_at: status.read_at,
+    played_at: status.played_at
+  })));
+
+  const counts = (await getBroadcastCounts([broadcast.id])).get(broadcast.id);
+
+  return { broadcast, recipients, counts };
+};
+
+module.exports = {
+  createBroadcastList,
+  getBroadcastLists,
+  getBroadcastList,
+  updateBroadcastList,
+  deleteBroadcastList,
+  sendBroadcast,
+  getBroadcasts,
+  getBroadcastStats
+};
@@ -1,14 +1,40 @@
 const { Op } = require('sequelize');
 const db = require('../models');
+const messageService = require('./message.service');
+const { hiddenMessageIds } = messageService;
+const { extractUrls } = require('./linkPreview.service');
+const draftService = require('./draft.service');
+const { DISAPPEARING_TTLS, MESSAGE_TYPES } = require('../constants');
 
-const createGroupChat = async (userId, { name, icon = null, members, group_description = null }) => {
+const DISAPPEARING_LABELS = { '24h': '24 hours', '7d': '7 days', '90d': '90 days' };
+
+const MAX_MEDIA_PAGE = 100;
+
+// Postgres form of the linkPreview URL pattern, so counts.links matches the urls listed
+const URL_SQL_PATTERN = `\\yhttps?://[^\\s<>"'']+`;
+const URL_TRAILING_SQL_PATTERN = `[.,;:!?)\\]}''"]+$`;
+
+// Message filters behind each tab of the chat media gallery
+const MEDIA_KINDS = {
+  media: `"Message"."message_type" IN ('${MESSAGE_TYPES.IMAGE}', '${MESSAGE_TYPES.VIDEO}')`,
+  docs: `"Message"."message_type" = '${MESSAGE_TYPES.FILE}'`,
+  audio: `"Message"."message_type" = '${MESSAGE_TYPES.AUDIO}'`,
+  links: `"Message"."message_type" = '${MESSAGE_TYPES.TEXT}' AND "Message"."content" ~* '${URL_SQL_PATTERN}'`
+};
+
+// How each tab is counted: messages, except links, which counts the distinct URLs in each message
+const MEDIA_COUNTS = {
+  links: `SUM((SELECT COUNT(DISTINCT regexp_replace(found.url[1], '${URL_TRAILING_SQL_PATTERN}', '')) FROM regexp_matches("Message"."content", '${URL_SQL_PATTERN}', 'gi') AS found(url)))`
+};
+
+const createGroupChat = async (userId, { name, icon = null, members, group_description = null }, { transaction } = {}) => {
   const chat = await db.Chat.create({
     is_group: true,
     group_name: name,
     group_icon: icon,
     group_description: group_description,
     created_by: userId
-  });
+  }, { transaction });
 
   // Add creator as admin and members to the chat
   const allMembers = [...new Set([...members, userId])];
@@ -18,7 +44,7 @@ const createGroupChat = async (userId, { name, icon = null, members, group_descr
     role: memberId === userId ? 'admin' : 'member'
   }));
 
-  await db.ChatMember.bulkCreate(memberEntries);
+  await db.ChatMember.bulkCreate(memberEntries, { transaction });
   return chat;
 };
 
@@ -88,7 +114,7 @@ const createOrGetPrivateChat = async (userId, otherUserId) => {
 
 
 // getUserChats retrieves all chats (both private and group) that a specific user is a member of.
-// Includes last message and unread count for each chat
+// Includes last message, unread count, unread @mention count and the user's draft for each chat
 const getUserChats = async (userId) => {
   const chats = await db.Chat.findAll({
     include: [
@@ -109,9 +135,10 @@ const getUserChats = async (userId) => {
       {
         model: db.Message,
         as: 'Messages',
+        where: { id: { [Op.notIn]: hiddenMessageIds(userId) } }, // Skip messages deleted for this user
         limit: 1,
         order: [['sent_at', 'DESC']],
-        attributes: ['id', 'content', 'sent_at', 'sender_id', 'message_type', 'status'],
+        attributes: ['id', 'content', 'sent_at', 'sender_id', 'message_type', 'status', 'is_deleted', 'is_imported'],
         separate: true, // Important: fetch separately to get the latest message per chat
         include: [
           {
@@ -127,6 +154,9 @@ const getUserChats = async (userId) => {
     order: [['created_at', 'DESC']]
   });
 
+  const unreadMentionCounts = await messageService.getUnreadMentionCounts(userId);
+  const drafts = await draftService.getDrafts(userId);
+
   // Process each chat to add lastMessage and unreadCount
   const chatsWithMetadata = await Promise.all(
     chats.map(async (chat) => {
@@ -141,7 +171,8 @@ const getUserChats = async (userId) => {
       const unreadCount = await db.Message.count({
         where: {
           chat_id: chat.id,
-          sender_id: { [Op.ne]: userId } // Not sent by this user
+          sender_id: { [Op.ne]: userId }, // Not sent by this user
+          id: { [Op.notIn]: hiddenMessageIds(userId) }
         },
         include: [
           {
@@ -167,12 +198,16 @@ const getUserChats = async (userId) => {
           sender_id: lastMessage.sender_id,
           message_type: lastMessage.message_type,
           status: lastMessage.status,
+          is_deleted: lastMessage.is_deleted,
           // Check if this message is unread by the current user
           isUnread: lastMessage.MessageStatuses && lastMessage.MessageStatuses.length > 0
             ? ['sent', 'delivered'].includes(lastMessage.MessageStatuses[0].status)
-            : (lastMessage.sender_id !== userId) // If no status record and not sent by user, consider unread
+            // If no status record and not sent by user, consider unread (imported history never is)
+            : (lastMessage.sender_id !== userId && !lastMessage.is_imported)
         } : null,
-        unreadCount
+        unreadCount,
+        unreadMentionCount: unreadMentionCounts.get(chat.id) || 0,
+        draft: drafts.get(chat.id) || null
       };
     })
   );
@@ -187,8 +222,170 @@ const getUserChats = async (userId) => {
   return chatsWithMetadata;
 };
 
+/**
+ * Update chat settings
+ * - pin_admins_only / settings_admins_only: groups only, admins only
+ * - disappearing_ttl: any member in private chats; in groups admins only
+ *   when settings_admins_only is on. Changing it posts a system notice.
+ * @returns {Promise<{chat: Object, notice: Object|null}>}
+ */
+const updateChatSettings = async (userId, chatId, settings) => {
+  const membership = await db.ChatMember.findOne({
+    where: { chat_id: chatId, user_id: userId },
+    include: [{ model: db.Chat }]
+  });
+
+  if (!membership) {
+    throw new Error('User is not a member of this chat');
+  }
+
+  const chat = membership.Chat;
+  const isAdmin = membership.role === 'admin';
+  const updates = {};
+
+  for (const key of ['pin_admins_only', 'settings_admins_only']) {
+    if (settings[key] === undefined) continue;
+
+    if (!chat.is_group) {
+      throw new Error(`${key} only applies to group chats`);
+    }
+    if (!isAdmin) {
+      throw new Error('Only group admins can change group settings');
+    }
+    updates[key] = !!settings[key];
+  }
+
+  const ttl = settings.disappearing_ttl;
+  if (ttl !== undefined) {
+    if (ttl !== 'off' && !DISAPPEARING_TTLS[ttl]) {
+      throw new Error(`Invalid disappearing_ttl. Use one of: off, ${Object.keys(DISAPPEARING_TTLS).join(', ')}`);
+    }
+    if (chat.is_group && chat.settings_admins_only && !isAdmin) {
+      throw new Error('Only group admins can change disappearing messages in this group');
+    }
+    if (ttl !== chat.disappearing_ttl) {
+      updates.disappearing_ttl = ttl;
+    }
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return { chat, notice: null };
+  }
+
+  await chat.update(updates);
+
+  let notice = null;
+  if (updates.disappearing_ttl) {
+    notice = await messageService.sendMessage(userId, {
+      chat_id: chat.id,
+      message_type: MESSAGE_TYPES.SYSTEM,
+      content: updates.disappearing_ttl === 'off'
+        ? 'Disappearing messages were turned off.'
+        : `Disappearing messages were turned on. New messages will disappear from this chat ${DISAPPEARING_LABELS[updates.disappearing_ttl]} after they're sent.`
+    });
+  }
+
+  return { chat, notice };
+};
+
+/**
+ * Media gallery of a chat (chat info screen)
+ * Lists one kind at a time, newest first, plus the per-kind counts.
+ * Messages deleted for everyone or hidden by the caller are left out.
+ * @param {Object} options
+ * @param {String} [options.kind='media'] - media (images/videos), docs, links or audio
+ * @param {String} [options.cursor] - next_cursor from the previous page
+ * @returns {Promise<{kind: String, items: Array, counts: Object, next_cursor: String|null}>}
+ */
+const getChatMedia = async (userId, chatId, { kind = 'media', cursor = null, limit = 30 } = {}) => {
+  if (!MEDIA_KINDS[kind]) {
+    throw new Error(`Invalid kind. Use one of: ${Object.keys(MEDIA_KINDS).join(', ')}`);
+  }
+
+  const isMember = await db.ChatMember.findOne({
+    where: { chat_id: chatId, user_id: userId }
+  });
+
+  if (!isMember) {
+    throw new Error('User is not a member of this chat');
+  }
+
+  const pageSize = Math.min(Math.max(parseInt(limit) || 30, 1), MAX_MEDIA_PAGE);
+  const visible = [
+    { chat_id: chatId },
+    { is_deleted: false },
+    { id: { [Op.notIn]: hiddenMessageIds(userId) } }
+  ];
+
+  const conditions = [...visible, db.sequelize.literal(`(${MEDIA_KINDS[kind]})`)];
+
+  if (cursor) {
+    let position;
+    try {
+      position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new Error('Invalid cursor');
+    }
+
+    const lastId = parseInt(position?.id);
+    if (!lastId) {
+      throw new Error('Invalid cursor');
+    }
+    conditions.push({ id: { [Op.lt]: lastId } });
+  }
+
+  const [messages, totals] = await Promise.all([
+    db.Message.findAll({
+      where: { [Op.and]: conditions },
+      attributes: ['id', 'chat_id', 'sender_id', 'message_type', 'content', 'caption', 'link_preview', 'sent_at'],
+      include: [{
+        model: db.User,
+        as: 'User',
+        attributes: ['id', 'name', 'profile_pic']
+      }],
+      order: [['id', 'DESC']],
+      limit: pageSize + 1
+    }),
+    db.Message.findOne({
+      where: { [Op.and]: visible },
+      attributes: Object.entries(MEDIA_KINDS).map(([name, filter]) => [
+        db.sequelize.literal(`${MEDIA_COUNTS[name] || 'COUNT(*)'} FILTER (WHERE ${filter})`),
+        name
+      ]),
+      raw: true
+    })
+  ]);
+
+  const page = messages.slice(0, pageSize);
+  const nextCursor = messages.length > pageSize
+    ? Buffer.from(JSON.stringify({ id: page[page.length - 1].id })).toString('base64url')
+    : null;
+
+  const counts = {};
+  for (const name of Object.keys(MEDIA_KINDS)) {
+    counts[name] = parseInt(totals?.[name]) || 0;
+  }
+
+  return {
+    kind,
+    items: page.map(msg => {
+      const item = msg.toJSON();
+      if (kind === 'links') {
+        item.urls = extractUrls(item.content);
+      } else {
+        delete item.link_preview;
+      }
+      return item;
+    }),
+    counts,
+    next_cursor: nextCursor
+  };
+};
+
 module.exports = {
   createGroupChat,
   createOrGetPrivateChat,
-  getUserChats
+  getUserChats,
+  updateChatSettings,
+  getChatMedia
 };
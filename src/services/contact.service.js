@@ -1,5 +1,46 @@
-const { User, CorporateContact, UserContact } = require('../models');
+const { User, CorporateContact, UserContact, Message, ChatMember } = require('../models');
 const { Op } = require('sequelize');
+const { buildVCard, parseVCards } = require('../utils/vcard');
+const { MESSAGE_TYPES, MAX_SHARED_CONTACTS } = require('../constants');
+
+/**
+ * Look up which phone numbers belong to verified Synapse users
+ * Returns Map of phone_number -> user id
+ */
+async function findSynapseUsersByPhone(phoneNumbers) {
+  if (phoneNumbers.length === 0) {
+    return new Map();
+  }
+
+  const registeredUsers = await User.findAll({
+    where: {
+      phone_number: { [Op.in]: phoneNumbers },
+      is_verified: true // Only verified users
+    },
+    attributes: ['phone_number', 'id']
+  });
+
+  return new Map(registeredUsers.map(user => [user.phone_number, user.id]));
+}
+
+/**
+ * Synapse user ids of the contacts a user has added
+ * Returns Set of user ids
+ */
+async function getContactUserIds(userId) {
+  const userContacts = await UserContact.findAll({
+    where: { user_id: userId },
+    include: [{
+      model: CorporateContact,
+      as: 'corporateContact',
+      attributes: ['phone_number']
+    }],
+    attributes: ['id']
+  });
+
+  const registeredPhoneMap = await findSynapseUsersByPhone(userContacts.map(uc => uc.corporateContact.phone_number));
+  return new Set(registeredPhoneMap.values());
+}
 
 /**
  * Get all corporate contacts (company directory)
@@ -13,20 +54,7 @@ async function getAllCorporateContacts() {
   });
 
   // Check which contacts are registered on Synapse (exist in users table)
-  const phoneNumbers = contacts.map(c => c.phone_number);
-  
-  const registeredUsers = await User.findAll({
-    where: {
-      phone_number: { [Op.in]: phoneNumbers },
-      is_verified: true // Only verified users
-    },
-    attributes: ['phone_number', 'id']
-  });
-
-  // Create a map of phone numbers to user IDs for quick lookup
-  const registeredPhoneMap = new Map(
-    registeredUsers.map(user => [user.phone_number, user.id])
-  );
+  const registeredPhoneMap = await findSynapseUsersByPhone(contacts.map(c => c.phone_number));
 
   // Add is_on_synapse flag and synapse_user_id to each contact
   const contactsWithSynapseStatus = contacts.map(contact => ({
@@ -250,7 +278,168 @@ async function removeContactFromUser(userId, corporateContactId) {
   return deleted > 0;
 }
 
+/**
+ * Build the vCard payload of a contact message
+ * Each entry is either { corporate_contact_id } or { user_id } (a Synapse user).
+ * @param {Array} contacts - Contacts to share
+ * @param {String} version - vCard version, '3.0' or '4.0'
+ * @returns {Promise<String>} - One vCard per contact
+ */
+async function buildContactCards(contacts, version = '3.0') {
+  if (!Array.isArray(contacts) || contacts.length === 0) {
+    throw new Error('At least one contact is required');
+  }
+
+  if (contacts.length > MAX_SHARED_CONTACTS) {
+    throw new Error(`At most ${MAX_SHARED_CONTACTS} contacts can be shared at once`);
+  }
+
+  const cards = [];
+
+  for (const entry of contacts) {
+    let fields;
+
+    if (entry?.corporate_contact_id) {
+      const corporateContact = await CorporateContact.findOne({
+        where: { id: entry.corporate_contact_id, is_active: true }
+      });
+
+      if (!corporateContact) {
+        throw new Error('Corporate contact not found');
+      }
+
+      fields = corporateContact;
+    } else if (entry?.user_id) {
+      const user = await User.findOne({
+        where: { id: entry.user_id, is_verified: true }
+      });
+
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      // Prefer the directory entry for department and job title
+      const corporateContact = await CorporateContact.findOne({
+        where: { phone_number: user.phone_number }
+      });
+
+      fields = {
+        name: user.name || corporateContact?.name,
+        phone_number: user.phone_number,
+        email: user.email || corporateContact?.email,
+        department: corporateContact?.department,
+        job_title: corporateContact?.job_title
+      };
+    } else {
+      throw new Error('Each contact needs a corporate_contact_id or user_id');
+    }
+
+    cards.push(buildVCard(fields, version));
+  }
+
+  return cards.join('\r\n');
+}
+
+/**
+ * Parse the vCards of contact messages and resolve them against the directory
+ * Returns Map of message_id -> [{ name, phone_number, email, department, job_title,
+ *   corporate_contact_id, is_on_synapse, synapse_user_id }]
+ */
+async function getContactCardSummaries(contactMessages) {
+  const summaries = new Map();
+
+  if (contactMessages.length === 0) {
+    return summaries;
+  }
+
+  const parsed = contactMessages.map(msg => [msg.id, parseVCards(msg.content)]);
+  const phoneNumbers = [...new Set(parsed.flatMap(([, cards]) => cards.map(card => card.phone_number)))];
+
+  const [registeredPhoneMap, corporateContacts] = await Promise.all([
+    findSynapseUsersByPhone(phoneNumbers),
+    phoneNumbers.length > 0
+      ? CorporateContact.findAll({
+        where: { phone_number: { [Op.in]: phoneNumbers }, is_active: true },
+        attributes: ['id', 'phone_number']
+      })
+      : []
+  ]);
+
+  const corporatePhoneMap = new Map(corporateContacts.map(c => [c.phone_number, c.id]));
+
+  parsed.forEach(([messageId, cards]) => {
+    summaries.set(messageId, cards.map(card => ({
+      ...card,
+      corporate_contact_id: corporatePhoneMap.get(card.phone_number) || null,
+      is_on_synapse: registeredPhoneMap.has(card.phone_number),
+      synapse_user_id: registeredPhoneMap.get(card.phone_number) || null
+    })));
+  });
+
+  return summaries;
+}
+
+/**
+ * Add the contacts shared in a contact message to the user's list
+ * Cards are matched to the corporate directory by phone number and added via addContactToUser.
+ */
+async function importContactsFromMessage(userId, messageId) {
+  const message = await Message.findByPk(messageId);
+
+  if (!message || message.message_type !== MESSAGE_TYPES.CONTACT || message.is_deleted) {
+    throw new Error('Contact message not found');
+  }
+
+  const membership = await ChatMember.findOne({
+    where: { chat_id: message.chat_id, user_id: userId }
+  });
+
+  if (!membership) {
+    throw new Error('User is not a member of this chat');
+  }
+
+  const summaries = await getContactCardSummaries([message]);
+
+  const results = {
+    added: [],
+    existing: [],
+    failed: []
+  };
+
+  for (const card of summaries.get(message.id)) {
+    if (!card.corporate_contact_id) {
+      results.failed.push({
+        phone_number: card.phone_number,
+        error: 'Contact is not in the corporate directory'
+      });
+      continue;
+    }
+
+    try {
+      const result = await addContactToUser(userId, card.corporate_contact_id);
+
+      if (result.alreadyExists) {
+        results.existing.push(result.contact);
+      } else {
+        results.added.push(result.contact);
+      }
+    } catch (error) {
+      results.failed.push({
+        corporate_contact_id: card.corporate_contact_id,
+        error: error.message
+      });
+    }
+  }
+
+  return results;
+}
+
 module.exports = {
+  findSynapseUsersByPhone,
+  getContactUserIds,
+  buildContactCards,
+  getContactCardSummaries,
+  importContactsFromMessage,
   getAllCorporateContacts,
   matchPhoneNumbers,
   getUserContacts,
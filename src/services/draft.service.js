@@ -0,0 +1,148 @@
+const { Op } = require('sequelize');
+const db = require('../models');
+
+// Quiet period after the last draft_update before the draft is written
+const DRAFT_SAVE_DELAY_MS = parseInt(process.env.DRAFT_SAVE_DELAY_MS) || 1000;
+
+// `${userId}:${chatId}` -> { timer, resolve } for drafts waiting to be written
+const pendingDrafts = new Map();
+
+const toDraft = (row) => (row ? {
+  content: row.content,
+  reply_to: row.reply_to,
+  updated_at: row.updated_at
+} : null);
+
+/**
+ * Save the user's draft for a chat
+ * A blank draft with no reply target clears it.
+ * @returns {Promise<Object|null>} the stored draft, or null when cleared
+ */
+const saveDraft = async (userId, chatId, { content = '', reply_to = null } = {}) => {
+  if (typeof content !== 'string') {
+    throw new Error('Draft content must be a string');
+  }
+
+  const membership = await db.ChatMember.findOne({
+    where: { chat_id: chatId, user_id: userId }
+  });
+
+  if (!membership) {
+    throw new Error('User is not a member of this chat');
+  }
+
+  if (content.trim().length === 0 && !reply_to) {
+    await removeDrafts(userId, [chatId]);
+    return null;
+  }
+
+  if (reply_to) {
+    const target = await db.Message.findOne({
+      where: { id: reply_to, chat_id: chatId },
+      attributes: ['id']
+    });
+
+    if (!target) {
+      throw new Error('Reply target not found in this chat');
+    }
+  }
+
+  const [draft] = await db.ChatDraft.upsert({
+    user_id: userId,
+    chat_id: parseInt(chatId),
+    content,
+    reply_to: reply_to || null,
+    updated_at: new Date()
+  });
+
+  return toDraft(draft);
+};
+
+/**
+ * Save a draft once the user stops typing
+ * Each call replaces the user's earlier pending draft for the chat, so a burst of
+ * updates is written once, DRAFT_SAVE_DELAY_MS after the last one.
+ * @returns {Promise<{superseded: Boolean, draft: Object|null}>} superseded when a later
+ *   update or a send replaced this one before it was written
+ */
+const queueDraft = (userId, chatId, draft = {}) => {
+  if (draft.content !== undefined && typeof draft.content !== 'string') {
+    return Promise.reject(new Error('Draft content must be a string'));
+  }
+
+  const key = `${userId}:${parseInt(chatId)}`;
+  cancelPendingDraft(key);
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      pendingDrafts.delete(key);
+      saveDraft(userId, chatId, draft)
+        .then(saved => resolve({ superseded: false, draft: saved }), reject);
+    }, DRAFT_SAVE_DELAY_MS);
+
+    pendingDrafts.set(key, { timer, resolve });
+  });
+};
+
+// Drop a draft that is still waiting to be written
+const cancelPendingDraft = (key) => {
+  const pending = pendingDrafts.get(key);
+  if (!pending) return;
+
+  clearTimeout(pending.timer);
+  pendingDrafts.delete(key);
+  pending.resolve({ superseded: true, draft: null });
+};
+
+// Delete stored drafts, returning the chat ids that had one
+const removeDrafts = async (userId, chatIds) => {
+  const rows = await db.ChatDraft.findAll({
+    where: { user_id: userId, chat_id: { [Op.in]: chatIds } },
+    attributes: ['chat_id']
+  });
+
+  if (rows.length > 0) {
+    await db.ChatDraft.destroy({
+      where: { user_id: userId, chat_id: { [Op.in]: rows.map(row => row.chat_id) } }
+    });
+  }
+
+  return rows.map(row => row.chat_id);
+};
+
+/**
+ * Remove the user's drafts for chats they just sent to
+ * Pending draft updates for those chats are dropped too, so they cannot bring the draft back.
+ * @returns {Promise<Array<Number>>} ids of the chats that had a draft
+ */
+const clearDrafts = async (userId, chatIds) => {
+  const ids = [...new Set(chatIds.map(id => parseInt(id)))];
+  ids.forEach(chatId => cancelPendingDraft(`${userId}:${chatId}`));
+  return removeDrafts(userId, ids);
+};
+
+/**
+ * Remove the user's draft for a chat
+ * @returns {Promise<Boolean>} true if there was one
+ */
+const clearDraft = async (userId, chatId) => {
+  const cleared = await clearDrafts(userId, [chatId]);
+  return cleared.length > 0;
+};
+
+/**
+ * All of the user's drafts
+ * @returns {Promise<Map<Number, Object>>} chat id -> draft
+ */
+const getDrafts = async (userId) => {
+  const rows = await db.ChatDraft.findAll({ where: { user_id: userId } });
+  return new Map(rows.map(row => [row.chat_id, toDraft(row)]));
+};
+
+module.exports = {
+  saveDraft,
+  queueDraft,
+  clearDraft,
+  clearDrafts,
+  getDrafts
+};
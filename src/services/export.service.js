@@ -0,0 +1,342 @@
+const path = require('path');
+const { Readable } = require('stream');
+const { Op } = require('sequelize');
+const archiver = require('archiver');
+const db = require('../models');
+const logger = require('../utils/logger');
+const s3Service = require('./s3.service');
+const { hiddenMessageIds } = require('./message.service');
+const { MESSAGE_TYPES } = require('../constants');
+
+// Messages loaded per query while streaming an export
+const EXPORT_BATCH_SIZE = 500;
+
+const EXPORT_FORMATS = {
+  txt: { extension: 'txt', contentType: 'text/plain; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+  zip: { extension: 'zip', contentType: 'application/zip' }
+};
+
+// File name prefix and fallback extension of media bundled into a zip export
+const ATTACHMENT_NAMES = {
+  [MESSAGE_TYPES.IMAGE]: ['IMG', '.jpg'],
+  [MESSAGE_TYPES.VIDEO]: ['VID', '.mp4'],
+  [MESSAGE_TYPES.AUDIO]: ['AUD', '.opus'],
+  [MESSAGE_TYPES.FILE]: ['DOC', '.bin'],
+  [MESSAGE_TYPES.CONTACT]: ['CONTACT', '.vcf']
+};
+
+/**
+ * Walk a chat's history oldest first, one batch at a time,
+ * skipping messages the user deleted for themselves.
+ * Yields { message, pollOptions, statuses } so callers never hold the whole chat.
+ */
+async function* chatHistory(userId, chatId) {
+  let lastId = 0;
+
+  while (true) {
+    const messages = await db.Message.findAll({
+      where: {
+        chat_id: chatId,
+        [Op.and]: [
+          { id: { [Op.gt]: lastId } },
+          { id: { [Op.notIn]: hiddenMessageIds(userId) } }
+        ]
+      },
+      include: [{
+        model: db.User,
+        as: 'User',
+        attributes: ['id', 'name', 'phone_number']
+      }],
+      order: [['id', 'ASC']],
+      limit: EXPORT_BATCH_SIZE
+    });
+
+    if (messages.length === 0) return;
+
+    const messageIds = messages.map(msg => msg.id);
+    const [options, statuses] = await Promise.all([
+      db.PollOption.findAll({
+        where: { message_id: { [Op.in]: messageIds } },
+        order: [['position', 'ASC']]
+      }),
+      // Per-recipient receipts are only exported for the user's own messages
+      db.MessageStatus.findAll({
+        where: { message_id: { [Op.in]: messages.filter(msg => msg.sender_id === userId).map(msg => msg.id) } },
+        order: [['user_id', 'ASC']]
+      })
+    ]);
+
+    const group = (rows) => rows.reduce((map, row) => {
+      if (!map.has(row.message_id)) map.set(row.message_id, []);
+      map.get(row.message_id).push(row);
+      return map;
+    }, new Map());
+    const optionsByMessage = group(options);
+    const statusesByMessage = group(statuses);
+
+    for (const message of messages) {
+      yield {
+        message,
+        pollOptions: optionsByMessage.get(message.id) || [],
+        statuses: statusesByMessage.get(message.id) || []
+      };
+    }
+
+    if (messages.length < EXPORT_BATCH_SIZE) return;
+    lastId = messages[messages.length - 1].id;
+  }
+}
+
+// Imported history keeps the name from the original export
+const senderName = (message) => message.imported_sender || message.User?.name || message.User?.phone_number || 'Unknown';
+
+/**
+ * Name a media file the way phone exports do, e.g. IMG-20251111-WA0003.jpg
+ */
+const attachmentName = (message, sequence) => {
+  const [prefix, fallback] = ATTACHMENT_NAMES[message.message_type];
+  let extension = fallback;
+
+  if (message.message_type !== MESSAGE_TYPES.CONTACT) {
+    try {
+      const urlExtension = path.extname(new URL(message.content).pathname);
+      if (/^\.[a-z0-9]{1,5}$/i.test(urlExtension)) extension = urlExtension.toLowerCase();
+    } catch (error) {
+      // Not a URL - keep the fallback extension
+    }
+  }
+
+  const day = new Date(message.sent_at).toISOString().slice(0, 10).replace(/-/g, '');
+  return `${prefix}-${day}-WA${String(sequence).padStart(4, '0')}${extension}`;
+};
+
+/**
+ * Transcript lines in the "date, time - sender: message" layout
+ * @param {Intl.DateTimeFormat} clock - Formats sent_at as "dd/mm/yyyy, hh:mm"
+ * @param {Array|null} attachments - Zip exports only: collects the media to bundle
+ */
+async function* transcriptLines(userId, chatId, clock, attachments = null) {
+  for await (const { message, pollOptions } of chatHistory(userId, chatId)) {
+    const stamp = clock.format(message.sent_at);
+
+    if (message.message_type === MESSAGE_TYPES.SYSTEM) {
+      yield `${stamp} - ${message.content}\n`;
+      continue;
+    }
+
+    let body;
+    if (message.is_deleted) {
+      body = 'This message was deleted';
+    } else if (ATTACHMENT_NAMES[message.message_type]) {
+      const bundled = attachments && (
+        message.message_type === MESSAGE_TYPES.CONTACT || s3Service.getFileKey(message.content)
+      );
+
+      if (bundled) {
+        const name = attachmentName(message, attachments.length + 1);
+        attachments.push({
+          name,
+          url: message.content,
+          buffer: message.message_type === MESSAGE_TYPES.CONTACT ? Buffer.from(message.content, 'utf8') : null
+        });
+        body = `${name} (file attached)`;
+      } else {
+        body = '<Media omitted>';
+      }
+    } else if (message.message_type === MESSAGE_TYPES.LOCATION) {
+      body = `location: https://maps.google.com/?q=${message.latitude},${message.longitude}`;
+    } else if (message.message_type === MESSAGE_TYPES.LIVE_LOCATION) {
+      body = 'Live location shared';
+    } else if (message.message_type === MESSAGE_TYPES.POLL) {
+      body = ['POLL:', message.content, ...pollOptions.map(option => `OPTION: ${option.text}`)].join('\n');
+    } else {
+      body = message.content;
+    }
+
+    if (!message.is_deleted && message.caption) {
+      body += `\n${message.caption}`;
+    }
+    if (!message.is_deleted && message.edited_at) {
+      body += ' <This message was edited>';
+    }
+
+    yield `${stamp} - ${senderName(message)}: ${body}\n`;
+  }
+}
+
+/**
+ * Structured JSON dump, written piece by piece
+ */
+async function* jsonDocument(userId, chat) {
+  yield `{"chat":${JSON.stringify({
+    id: chat.id,
+    is_group: chat.is_group,
+    group_name: chat.group_name
+  })},"exported_at":${JSON.stringify(new Date())},"messages":[`;
+
+  let first = true;
+  for await (const { message, pollOptions, statuses } of chatHistory(userId, chat.id)) {
+    const record = {
+      id: message.id,
+      sender: message.User ? { id: message.User.id, name: message.User.name } : null,
+      message_type: message.message_type,
+      content: message.content,
+      caption: message.caption,
+      reply_to: message.reply_to,
+      is_forwarded: !!message.forwarded_from_message_id,
+      sent_at: message.sent_at,
+      edited_at: message.edited_at,
+      is_deleted: message.is_deleted
+    };
+
+    if (message.latitude !== null && message.longitude !== null) {
+      record.location = {
+        latitude: message.latitude,
+        longitude: message.longitude,
+        name: message.location_name
+      };
+    }
+
+    if (message.audio_duration !== null) {
+      record.audio = { duration: message.audio_duration, waveform: message.audio_waveform };
+    }
+
+    if (message.is_imported) {
+      record.imported_sender = message.imported_sender;
+    }
+
+    if (pollOptions.length > 0) {
+      record.poll_options = pollOptions.map(option => option.text);
+    }
+
+    if (message.sender_id === userId) {
+      record.statuses = statuses.map(status => ({
+        user_id: status.user_id,
+        status: status.status,
+        delivered_at: status.delivered_at,
+        read_at: status.read_at,
+        played_at: status.played_at
+      }));
+    }
+
+    yield `${first ? '' : ','}${JSON.stringify(record)}`;
+    first = false;
+  }
+
+  yield ']}';
+}
+
+/**
+ * Resolve once the archive has consumed the entry appended last;
+ * false if the archive was closed (client went away) first.
+ */
+const waitForEntry = (archive) => new Promise((resolve, reject) => {
+  const settle = (callback) => (value) => {
+    archive.off('entry', onEntry);
+    archive.off('close', onClose);
+    archive.off('error', onError);
+    callback(value);
+  };
+  const onEntry = settle(() => resolve(true));
+  const onClose = settle(() => resolve(false));
+  const onError = settle(reject);
+
+  archive.on('entry', onEntry);
+  archive.on('close', onClose);
+  archive.on('error', onError);
+});
+
+/**
+ * Zip archive: the transcript first, then each media file fetched from S3
+ * one at a time as the archive drains
+ */
+const zipArchive = (userId, chatId, clock) => {
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  const attachments = [];
+
+  const fill = async () => {
+    archive.append(Readable.from(transcriptLines(userId, chatId, clock, attachments)), { name: '_chat.txt' });
+    if (!await waitForEntry(archive)) return;
+
+    for (const attachment of attachments) {
+      let body = attachment.buffer;
+      if (!body) {
+        try {
+          body = await s3Service.getFileStream(attachment.url);
+        } catch (error) {
+          logger.error('Chat export: could not fetch media', { url: attachment.url, error: error.message });
+        }
+      }
+      if (!body) continue;
+
+      // Media is already compressed, store it as-is
+      archive.append(body, { name: attachment.name, store: true });
+      if (!await waitForEntry(archive)) return;
+    }
+
+    await archive.finalize();
+  };
+
+  fill().catch(error => archive.destroy(error));
+  return archive;
+};
+
+/**
+ * Export a chat's history as a stream
+ * Only members can export; messages the user deleted for themselves are left out,
+ * messages deleted for everyone appear as "This message was deleted".
+ * @param {Object} options
+ * @param {String} [options.format='txt'] - txt (transcript), json (structured dump) or zip (transcript + media)
+ * @param {String} [options.tz='UTC'] - IANA time zone for transcript timestamps
+ * @returns {Promise<{filename: String, contentType: String, stream: Readable}>}
+ */
+const exportChat = async (userId, chatId, { format = 'txt', tz = 'UTC' } = {}) => {
+  if (!EXPORT_FORMATS[format]) {
+    throw new Error(`Invalid format. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+
+  let clock;
+  try {
+    clock = new Intl.DateTimeFormat('en-GB', {
+      timeZone: tz,
+      day: '2-digit',
+      month: '2-digit',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    });
+  } catch (error) {
+    throw new Error('Invalid tz');
+  }
+
+  const membership = await db.ChatMember.findOne({
+    where: { chat_id: chatId, user_id: userId },
+    include: [{ model: db.Chat, attributes: ['id', 'is_group', 'group_name'] }]
+  });
+
+  if (!membership) {
+    throw new Error('User is not a member of this chat');
+  }
+
+  const chat = membership.Chat;
+  let stream;
+  if (format === 'json') {
+    stream = Readable.from(jsonDocument(userId, chat));
+  } else if (format === 'zip') {
+    stream = zipArchive(userId, chat.id, clock);
+  } else {
+    stream = Readable.from(transcriptLines(userId, chat.id, clock));
+  }
+
+  return {
+    filename: `chat-${chat.id}.${EXPORT_FORMATS[format].extension}`,
+    contentType: EXPORT_FORMATS[format].contentType,
+    stream
+  };
+};
+
+module.exports = {
+  exportChat
+};
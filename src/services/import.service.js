@@ -0,0 +1,310 @@
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { Op } = require('sequelize');
+const db = require('../models');
+const s3Service = require('./s3.service');
+const chatService = require('./chat.service');
+const { findSynapseUsersByPhone, getContactUserIds } = require('./contact.service');
+const { parseWhatsAppChat } = require('../utils/whatsappChat');
+const { MESSAGE_TYPES } = require('../constants');
+
+const MAX_IMPORT_MESSAGES = parseInt(process.env.CHAT_IMPORT_MAX_MESSAGES) || 50000;
+
+// Uncompressed size limits for zip exports, checked before anything is decompressed
+const MAX_IMPORT_ENTRY_BYTES = parseInt(process.env.CHAT_IMPORT_MAX_ENTRY_BYTES) || 64 * 1024 * 1024;
+const MAX_IMPORT_TOTAL_BYTES = parseInt(process.env.CHAT_IMPORT_MAX_TOTAL_BYTES) || 256 * 1024 * 1024;
+
+// Rows per INSERT while writing imported history
+const IMPORT_BATCH_SIZE = 500;
+
+// Attachment extension -> [message type, content type]
+const ATTACHMENT_TYPES = {
+  '.jpg': [MESSAGE_TYPES.IMAGE, 'image/jpeg'],
+  '.jpeg': [MESSAGE_TYPES.IMAGE, 'image/jpeg'],
+  '.png': [MESSAGE_TYPES.IMAGE, 'image/png'],
+  '.gif': [MESSAGE_TYPES.IMAGE, 'image/gif'],
+  '.webp': [MESSAGE_TYPES.IMAGE, 'image/webp'],
+  '.mp4': [MESSAGE_TYPES.VIDEO, 'video/mp4'],
+  '.3gp': [MESSAGE_TYPES.VIDEO, 'video/3gpp'],
+  '.mov': [MESSAGE_TYPES.VIDEO, 'video/quicktime'],
+  '.opus': [MESSAGE_TYPES.AUDIO, 'audio/ogg'],
+  '.ogg': [MESSAGE_TYPES.AUDIO, 'audio/ogg'],
+  '.m4a': [MESSAGE_TYPES.AUDIO, 'audio/mp4'],
+  '.mp3': [MESSAGE_TYPES.AUDIO, 'audio/mpeg'],
+  '.aac': [MESSAGE_TYPES.AUDIO, 'audio/aac'],
+  '.pdf': [MESSAGE_TYPES.FILE, 'application/pdf'],
+  '.vcf': [MESSAGE_TYPES.CONTACT, 'text/vcard']
+};
+
+const PHONE_SENDER = /^\+?[\d\s\-()]{7,}$/;
+
+const tooLarge = (message) => {
+  const error = new Error(message);
+  error.status = 413;
+  return error;
+};
+
+/**
+ * Decompress one zip entry
+ * adm-zip inflates up to the size in the entry header, so that size is what the limits check;
+ * entries that claim to be empty are never inflated.
+ */
+const readEntry = (entry) => (entry.header.size > 0 ? entry.getData() : Buffer.alloc(0));
+
+/**
+ * Read the transcript (and media entries) out of an uploaded export
+ * Zip exports hold "_chat.txt" / "WhatsApp Chat with <name>.txt" next to the media.
+ */
+const readExport = ({ buffer, originalname = '' }) => {
+  const isZip = buffer.slice(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04]));
+
+  if (!isZip) {
+    return { text: buffer.toString('utf8'), transcriptName: originalname, media: new Map() };
+  }
+
+  let entries;
+  try {
+    entries = new AdmZip(buffer).getEntries().filter(entry => !entry.isDirectory);
+  } catch (error) {
+    throw new Error('Could not read the zip file');
+  }
+
+  const transcript = entries.find(entry => path.basename(entry.entryName) === '_chat.txt')
+    || entries.find(entry => entry.entryName.toLowerCase().endsWith('.txt'));
+
+  if (!transcript) {
+    throw new Error('No chat transcript (.txt) found in the zip file');
+  }
+
+  const media = new Map();
+  for (const entry of entries) {
+    if (entry !== transcript) media.set(path.basename(entry.entryName), entry);
+  }
+
+  const oversized = entries.find(entry => entry.header.size > MAX_IMPORT_ENTRY_BYTES);
+  if (oversized) {
+    throw tooLarge(`${path.basename(oversized.entryName)} is larger than ${MAX_IMPORT_ENTRY_BYTES} bytes uncompressed`);
+  }
+
+  const totalBytes = entries.reduce((total, entry) => total + entry.header.size, 0);
+  if (totalBytes > MAX_IMPORT_TOTAL_BYTES) {
+    throw tooLarge(`Exports are limited to ${MAX_IMPORT_TOTAL_BYTES} bytes uncompressed`);
+  }
+
+  return { text: readEntry(transcript).toString('utf8'), transcriptName: transcript.entryName, media };
+};
+
+/**
+ * Match export sender names to Synapse users
+ * In order: the explicit mapping, then phone numbers, then names in the corporate directory.
+ * Only the importer and users in their contacts can be matched; anyone else stays an
+ * imported_sender name, so an export cannot put words in a stranger's mouth.
+ * @returns {Promise<Map<String, Number>>} sender name -> user id
+ */
+const resolveSenders = async (userId, names, mapping) => {
+  const senders = new Map();
+  const allowedIds = await getContactUserIds(userId);
+  allowedIds.add(userId);
+
+  // Mapping entries for names that never appear in the export are ignored
+  const mapped = Object.entries(mapping).filter(([name]) => names.includes(name));
+  const mappedIds = [...new Set(mapped.map(([, id]) => parseInt(id)))];
+  if (mappedIds.some(id => !id)) {
+    throw new Error('mapping values must be user ids');
+  }
+
+  const mappedUsers = await db.User.findAll({
+    where: { id: { [Op.in]: mappedIds }, is_verified: true },
+    attributes: ['id']
+  });
+  const knownIds = new Set(mappedUsers.map(user => user.id));
+
+  for (const [name, id] of mapped) {
+    if (!knownIds.has(parseInt(id))) {
+      throw new Error(`User ${id} (mapped from "${name}") is not on Synapse`);
+    }
+    if (!allowedIds.has(parseInt(id))) {
+      throw new Error(`User ${id} (mapped from "${name}") is not in your contacts`);
+    }
+    senders.set(name, parseInt(id));
+  }
+
+  // Senders saved without a contact name show up as their phone number
+  const phoneSenders = names.filter(name => !senders.has(name) && PHONE_SENDER.test(name));
+  const phoneVariants = phoneSenders.flatMap(name => {
+    const digits = name.replace(/\D/g, '');
+    return [`+${digits}`, digits];
+  });
+  const usersByPhone = await findSynapseUsersByPhone(phoneVariants);
+
+  for (const name of phoneSenders) {
+    const digits = name.replace(/\D/g, '');
+    const senderId = usersByPhone.get(`+${digits}`) || usersByPhone.get(digits);
+    if (allowedIds.has(senderId)) senders.set(name, senderId);
+  }
+
+  const namedSenders = names.filter(name => !senders.has(name));
+  if (namedSenders.length > 0) {
+    const contacts = await db.CorporateContact.findAll({
+      where: {
+        is_active: true,
+        [Op.and]: db.sequelize.where(
+          db.sequelize.fn('LOWER', db.sequelize.col('name')),
+          { [Op.in]: namedSenders.map(name => name.toLowerCase()) }
+        )
+      },
+      attributes: ['name', 'phone_number']
+    });
+    const usersByContactPhone = await findSynapseUsersByPhone(contacts.map(contact => contact.phone_number));
+
+    for (const name of namedSenders) {
+      // Ambiguous directory names are left unmatched
+      const matches = contacts.filter(contact => contact.name.toLowerCase() === name.toLowerCase());
+      const senderId = matches.length === 1 && usersByContactPhone.get(matches[0].phone_number);
+      if (allowedIds.has(senderId)) senders.set(name, senderId);
+    }
+  }
+
+  return senders;
+};
+
+/**
+ * Import a WhatsApp chat export (.txt, or .zip with media) as a new group
+ * Messages are back-dated, flagged is_imported and written without delivery
+ * fan-out or MessageStatus rows, so they never count as unread.
+ * Members are the senders that matched you or one of your contacts; the importer becomes admin.
+ * @param {Object} file - Uploaded file ({ buffer, originalname })
+ * @param {Object} options
+ * @param {String} [options.group_name] - Defaults to the name in "WhatsApp Chat with <name>.txt"
+ * @param {String} [options.date_order='DMY'] - DMY, MDY or YMD, for exports whose dates are ambiguous
+ * @param {String} [options.tz='UTC'] - IANA time zone the export was written in
+ * @param {Object} [options.mapping] - Sender name as written in the export -> your user id or a contact's
+ * @returns {Promise<{chat: Object, imported: Number, senders: Object, media: Object}>}
+ */
+const importWhatsAppChat = async (userId, file, { group_name, date_order = 'DMY', tz = 'UTC', mapping = {} } = {}) => {
+  if (!file?.buffer?.length) {
+    throw new Error('Export file is required');
+  }
+
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new Error('mapping must be an object of sender name -> user id');
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+  } catch (error) {
+    throw new Error('Invalid tz');
+  }
+
+  const { text, transcriptName, media } = readExport(file);
+  const parsed = parseWhatsAppChat(text, { dateOrder: date_order, timeZone: tz });
+
+  if (parsed.length === 0) {
+    throw new Error('No messages found in the export');
+  }
+
+  if (parsed.length > MAX_IMPORT_MESSAGES) {
+    throw new Error(`Exports are limited to ${MAX_IMPORT_MESSAGES} messages`);
+  }
+
+  const name = (group_name || '').trim()
+    || /WhatsApp Chat (?:with|-) (.+)\.txt$/i.exec(path.basename(transcriptName))?.[1];
+
+  if (!name) {
+    throw new Error('group_name is required');
+  }
+
+  const senderNames = [...new Set(parsed.filter(msg => msg.sender).map(msg => msg.sender))];
+  const senders = await resolveSenders(userId, senderNames, mapping);
+
+  // Media is uploaded before the transaction; if anything fails afterwards
+  // (a later upload, the inserts) the uploaded files are removed again
+  const attachments = new Map();
+  const uploaded = [];
+  let chat;
+  let rows;
+
+  try {
+    for (const message of parsed) {
+      const entry = message.attachment && media.get(message.attachment);
+      if (!entry || attachments.has(message.attachment)) continue;
+
+      const [type, contentType] = ATTACHMENT_TYPES[path.extname(message.attachment).toLowerCase()]
+        || [MESSAGE_TYPES.FILE, 'application/octet-stream'];
+      const data = readEntry(entry);
+
+      let content;
+      if (type === MESSAGE_TYPES.CONTACT) {
+        content = data.toString('utf8');
+      } else {
+        content = await s3Service.uploadFile(data, message.attachment, contentType, 'chat-media');
+        uploaded.push(content);
+      }
+
+      attachments.set(message.attachment, { type, content });
+    }
+
+    rows = parsed.map(message => {
+      const row = {
+        sender_id: message.sender ? senders.get(message.sender) || userId : userId,
+        sent_at: message.sent_at,
+        status: 'read',
+        is_imported: true,
+        imported_sender: message.sender
+      };
+
+      if (!message.sender) {
+        return { ...row, message_type: MESSAGE_TYPES.SYSTEM, content: message.content };
+      }
+
+      const attachment = message.attachment && attachments.get(message.attachment);
+      if (attachment) {
+        return { ...row, message_type: attachment.type, content: attachment.content, caption: message.content || null };
+      }
+
+      return {
+        ...row,
+        message_type: MESSAGE_TYPES.TEXT,
+        content: message.attachment
+          ? ['<Media omitted>', message.content].filter(Boolean).join('\n')
+          : message.content
+      };
+    });
+
+    chat = await db.sequelize.transaction(async (transaction) => {
+      const created = await chatService.createGroupChat(userId, {
+        name,
+        members: [...new Set(senders.values())]
+      }, { transaction });
+
+      for (let i = 0; i < rows.length; i += IMPORT_BATCH_SIZE) {
+        await db.Message.bulkCreate(
+          rows.slice(i, i + IMPORT_BATCH_SIZE).map(row => ({ ...row, chat_id: created.id })),
+          { transaction }
+        );
+      }
+
+      return created;
+    });
+  } catch (error) {
+    await Promise.all(uploaded.map(url => s3Service.deleteFile(url)));
+    throw error;
+  }
+
+  return {
+    chat,
+    imported: rows.length,
+    senders: {
+      matched: [...senders].map(([sender, id]) => ({ name: sender, user_id: id })),
+      unmatched: senderNames.filter(sender => !senders.has(sender))
+    },
+    media: {
+      attached: attachments.size,
+      missing: parsed.filter(msg => msg.attachment && !attachments.has(msg.attachment)).length
+    }
+  };
+};
+
+module.exports = {
+  importWhatsAppChat
+};
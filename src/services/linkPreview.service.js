@@ -0,0 +1,359 @@
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const db = require('../models');
+const logger = require('../utils/logger');
+const { MESSAGE_TYPES } = require('../constants');
+
+// Fetch limits
+const FETCH_TIMEOUT_MS = parseInt(process.env.LINK_PREVIEW_TIMEOUT_MS) || 5000;
+const MAX_BODY_BYTES = parseInt(process.env.LINK_PREVIEW_MAX_BYTES) || 512 * 1024;
+const MAX_REDIRECTS = 3;
+
+// How long a cached preview (or a failed lookup) is reused before refetching
+const CACHE_TTL_HOURS = parseInt(process.env.LINK_PREVIEW_CACHE_HOURS) || 24;
+
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"']+/i;
+
+// Address ranges a preview fetch must never reach
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  // ::/96 also covers IPv4-compatible addresses (::127.0.0.1); 64:ff9b::/96 is NAT64
+  // and 2002::/16 is 6to4, both of which embed an IPv4 address
+  ['::', 96], ['::1', 128], ['64:ff9b::', 96], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is private, loopback, link-local or otherwise not public
+ */
+const isPrivateAddress = (address) => {
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1)
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPrivateAddress(mapped[1]);
+
+  const family = net.isIP(address);
+  if (!family) return true;
+
+  return blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * DNS lookup that refuses private addresses.
+ * Used as the socket lookup so the checked address is the one connected to.
+ */
+const publicOnlyLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) {
+      return callback(new Error(`Blocked private address for ${hostname}`));
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * Create the default HTTP fetcher
+ * @param {Object} [options]
+ * @param {Boolean} [options.allowPrivateNetworks=false] - Skip the SSRF guard (local test stubs only)
+ * @returns {Function} - async (url, { timeoutMs, maxBytes }) => { url, contentType, body }
+ */
+const createHttpFetcher = ({ allowPrivateNetworks = false } = {}) => {
+  // `chain` tracks the in-flight request so the overall deadline can abort it
+  const request = (url, maxBytes, redirects, chain) => new Promise((resolve, reject) => {
+    const target = new URL(url);
+
+    if (!['http:', 'https:'].includes(target.protocol)) {
+      return reject(new Error('Only http and https links are previewed'));
+    }
+
+    const hostname = target.hostname.replace(/^\[|\]$/g, '');
+    if (!allowPrivateNetworks && net.isIP(hostname) && isPrivateAddress(hostname)) {
+      return reject(new Error(`Blocked private address ${hostname}`));
+    }
+
+    if (chain.timedOut) {
+      return reject(new Error('Link preview fetch timed out'));
+    }
+
+    const client = target.protocol === 'https:' ? https : http;
+    const req = client.get(target, {
+      lookup: allowPrivateNetworks ? undefined : publicOnlyLookup,
+      headers: {
+        'User-Agent': 'SynapseLinkPreview/1.0',
+        Accept: 'text/html,application/xhtml+xml'
+      }
+    }, (res) => {
+      // Follow redirects ourselves so every hop goes through the guard
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+        res.resume();
+        if (redirects >= MAX_REDIRECTS) {
+          return reject(new Error('Too many redirects'));
+        }
+        const next = new URL(res.headers.location, target).href;
+        return request(next, maxBytes, redirects + 1, chain).then(resolve, reject);
+      }
+
+      if (res.statusCode !== 200) {
+        res.resume();
+        return reject(new Error(`Link preview fetch failed with status ${res.statusCode}`));
+      }
+
+      const contentType = res.headers['content-type'] || '';
+      if (!/text\/html|application\/xhtml\+xml/i.test(contentType)) {
+        res.resume();
+        return reject(new Error(`Unsupported content type ${contentType}`));
+      }
+
+      // Metadata lives in <head>, so a truncated body is still useful
+      const chunks = [];
+      let size = 0;
+      const finish = () => resolve({
+        url: target.href,
+        contentType,
+        body: Buffer.concat(chunks).toString('utf8')
+      });
+
+      res.on('data', (chunk) => {
+        chunks.push(chunk);
+        size += chunk.length;
+        if (size >= maxBytes) {
+          res.destroy();
+          finish();
+        }
+      });
+      res.on('end', finish);
+      res.on('error', reject);
+    });
+
+    chain.req = req;
+    req.on('error', reject);
+  });
+
+  return async (url, { timeoutMs = FETCH_TIMEOUT_MS, maxBytes = MAX_BODY_BYTES } = {}) => {
+    const chain = { req: null, timedOut: false };
+
+    // One absolute deadline for the whole redirect chain - socket idle timeouts
+    // never fire while a server keeps trickling bytes
+    let timer;
+    const deadline = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error('Link preview fetch timed out');
+        chain.timedOut = true;
+        if (chain.req) chain.req.destroy(error);
+        reject(error);
+      }, timeoutMs);
+    });
+
+    try {
+      return await Promise.race([request(url, maxBytes, 0, chain), deadline]);
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+};
+
+let fetcher = createHttpFetcher();
+
+/**
+ * Replace the page fetcher (e.g. with a local stub in tests)
+ * @param {Function} [customFetcher] - async (url, { timeoutMs, maxBytes }) => { url, body }; omit to restore the default
+ */
+const setFetcher = (customFetcher) => {
+  fetcher = customFetcher || createHttpFetcher();
+};
+
+/**
+ * Normalise a URL matched in text, or null if it does not parse
+ */
+const normalizeUrl = (match) => {
+  // Trailing punctuation is almost always part of the sentence, not the link
+  const candidate = match.replace(/[.,;:!?)\]}'"]+$/, '');
+
+  try {
+    const url = new URL(candidate);
+    url.hash = '';
+    return url.href;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * First http(s) URL in a piece of text
+ */
+const extractFirstUrl = (text) => {
+  const match = URL_PATTERN.exec(text || '');
+  return match ? normalizeUrl(match[0]) : null;
+};
+
+/**
+ * Every http(s) URL in a piece of text, in order
+ * Repeats of the same link are listed once.
+ */
+const extractUrls = (text) => {
+  const matches = String(text || '').match(new RegExp(URL_PATTERN.source, 'gi')) || [];
+  return [...new Set(matches.map(normalizeUrl).filter(Boolean))];
+};
+
+const decodeEntities = (value) => value
+  .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(parseInt(dec, 10)))
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;|&apos;/g, '\'')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&amp;/g, '&');
+
+const clean = (value, maxLength) => {
+  if (!value) return null;
+  const text = decodeEntities(value).replace(/\s+/g, ' ').trim();
+  return text ? text.slice(0, maxLength) : null;
+};
+
+/**
+ * Parse OpenGraph / Twitter-card metadata from an HTML page
+ * @returns {{title, description, image_url, site_name}}
+ */
+const parseMetadata = (html, pageUrl) => {
+  const meta = {};
+
+  for (const [tag] of html.matchAll(/<meta\b[^>]*>/gi)) {
+    const attrs = {};
+    for (const [, name, , doubleQuoted, singleQuoted, bare] of tag.matchAll(/([a-zA-Z:-]+)\s*=\s*("([^"]*)"|'([^']*)'|([^\s"'>]+))/g)) {
+      attrs[name.toLowerCase()] = doubleQuoted ?? singleQuoted ?? bare;
+    }
+
+    const key = (attrs.property || attrs.name || '').toLowerCase();
+    if (key && attrs.content !== undefined && meta[key] === undefined) {
+      meta[key] = attrs.content;
+    }
+  }
+
+  const titleTag = /<title[^>]*>([\s\S]*?)<\/title>/i.exec(html);
+
+  let imageUrl = meta['og:image'] || meta['og:image:url'] || meta['twitter:image'] || meta['twitter:image:src'] || null;
+  if (imageUrl) {
+    try {
+      imageUrl = new URL(decodeEntities(imageUrl).trim(), pageUrl).href;
+      if (!/^https?:/.test(imageUrl)) imageUrl = null;
+    } catch (error) {
+      imageUrl = null;
+    }
+  }
+
+  return {
+    title: clean(meta['og:title'] || meta['twitter:title'] || titleTag?.[1], 300),
+    description: clean(meta['og:description'] || meta['twitter:description'] || meta.description, 1000),
+    image_url: imageUrl,
+    site_name: clean(meta['og:site_name'] || meta['twitter:site'], 200)
+  };
+};
+
+const toPreview = (row) => (row.has_preview ? {
+  url: row.url,
+  title: row.title,
+  description: row.description,
+  image_url: row.image_url,
+  site_name: row.site_name
+} : null);
+
+// Concurrent requests for the same URL share one fetch
+const inFlight = new Map();
+
+/**
+ * Get the preview for a URL, from the shared cache when fresh
+ * @returns {Promise<Object|null>} - null when the page has no usable metadata or could not be fetched
+ */
+const getPreview = async (url) => {
+  const cached = await db.LinkPreview.findByPk(url);
+  const freshAfter = Date.now() - CACHE_TTL_HOURS * 60 * 60 * 1000;
+
+  if (cached && new Date(cached.fetched_at).getTime() > freshAfter) {
+    return toPreview(cached);
+  }
+
+  if (inFlight.has(url)) {
+    return inFlight.get(url);
+  }
+
+  const pending = (async () => {
+    let metadata = {};
+    try {
+      const page = await fetcher(url, { timeoutMs: FETCH_TIMEOUT_MS, maxBytes: MAX_BODY_BYTES });
+      metadata = parseMetadata(page.body || '', page.url || url);
+    } catch (error) {
+      logger.info(`Link preview unavailable for ${url}: ${error.message}`);
+    }
+
+    // Failures are cached too, so a dead link is not refetched for every message
+    const [row] = await db.LinkPreview.upsert({
+      url,
+      title: metadata.title || null,
+      description: metadata.description || null,
+      image_url: metadata.image_url || null,
+      site_name: metadata.site_name || null,
+      has_preview: !!(metadata.title || metadata.description || metadata.image_url),
+      fetched_at: new Date()
+    });
+
+    return toPreview(row);
+  })();
+
+  inFlight.set(url, pending);
+  try {
+    return await pending;
+  } finally {
+    inFlight.delete(url);
+  }
+};
+
+/**
+ * Build and store the preview for the first link in a text message
+ * @returns {Promise<Object|null>} - The updated message, or null if there is nothing to preview
+ */
+const generateMessagePreview = async (messageId) => {
+  const message = await db.Message.findByPk(messageId);
+
+  if (!message || message.is_deleted || message.message_type !== MESSAGE_TYPES.TEXT) {
+    return null;
+  }
+
+  const url = extractFirstUrl(message.content);
+  if (!url) return null;
+
+  const preview = await getPreview(url);
+  if (!preview) return null;
+
+  // Skip if the message was edited or deleted while the page was being fetched
+  const [updated] = await db.Message.update(
+    { link_preview: preview },
+    { where: { id: message.id, content: message.content, is_deleted: false } }
+  );
+
+  if (updated === 0) return null;
+
+  message.link_preview = preview;
+  return message;
+};
+
+module.exports = {
+  isPrivateAddress,
+  createHttpFetcher,
+  setFetcher,
+  extractFirstUrl,
+  extractUrls,
+  parseMetadata,
+  getPreview,
+  generateMessagePreview
+};
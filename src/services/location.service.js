@@ -0,0 +1,221 @@
+const { Op } = require('sequelize');
+const db = require('../models');
+const { LIVE_LOCATION_DURATIONS } = require('../constants');
+
+/**
+ * Validate and normalise a position from a client
+ * @returns {{latitude: Number, longitude: Number, accuracy: Number|null}}
+ */
+const validateCoordinates = ({ latitude, longitude, accuracy } = {}) => {
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+
+  if (latitude === null || latitude === undefined || !Number.isFinite(lat) || lat < -90 || lat > 90) {
+    throw new Error('latitude must be a number between -90 and 90');
+  }
+
+  if (longitude === null || longitude === undefined || !Number.isFinite(lng) || lng < -180 || lng > 180) {
+    throw new Error('longitude must be a number between -180 and 180');
+  }
+
+  let acc = null;
+  if (accuracy !== null && accuracy !== undefined) {
+    acc = Number(accuracy);
+    if (!Number.isFinite(acc) || acc < 0) {
+      throw new Error('accuracy must be a non-negative number of meters');
+    }
+  }
+
+  return { latitude: lat, longitude: lng, accuracy: acc };
+};
+
+/**
+ * Validate the `location` payload of a location or live_location message
+ * @returns {{latitude: Number, longitude: Number, accuracy: Number|null, name: String|null}}
+ */
+const validateLocation = (location) => {
+  if (!location || typeof location !== 'object') {
+    throw new Error('location is required');
+  }
+
+  const coordinates = validateCoordinates(location);
+
+  let name = null;
+  if (location.name !== null && location.name !== undefined) {
+    if (typeof location.name !== 'string') {
+      throw new Error('Place name must be a string');
+    }
+    name = location.name.trim() || null;
+    if (name && name.length > 255) {
+      throw new Error('Place name must be at most 255 characters');
+    }
+  }
+
+  return { ...coordinates, name };
+};
+
+/**
+ * Resolve a live-location duration key to milliseconds
+ */
+const resolveDuration = (duration) => {
+  const ms = LIVE_LOCATION_DURATIONS[duration];
+
+  if (!ms) {
+    throw new Error(`Duration must be one of: ${Object.keys(LIVE_LOCATION_DURATIONS).join(', ')}`);
+  }
+
+  return ms;
+};
+
+/**
+ * A user can only run one live share per chat at a time
+ */
+const assertNoActiveShare = async (userId, chatId) => {
+  const active = await db.LiveLocationShare.findOne({
+    where: {
+      chat_id: chatId,
+      sender_id: userId,
+      ended_at: null,
+      expires_at: { [Op.gt]: new Date() }
+    }
+  });
+
+  if (active) {
+    throw new Error('You are already sharing your live location in this chat');
+  }
+};
+
+/**
+ * Create the share for a new live_location message
+ */
+const createLiveLocationShare = async (message, { latitude, longitude, accuracy }, durationMs) => {
+  const now = new Date();
+
+  return db.LiveLocationShare.create({
+    message_id: message.id,
+    chat_id: message.chat_id,
+    sender_id: message.sender_id,
+    latitude,
+    longitude,
+    accuracy,
+    started_at: now,
+    expires_at: new Date(now.getTime() + durationMs),
+    updated_at: now
+  });
+};
+
+/**
+ * Shape a share for clients
+ */
+const toSummary = (share) => ({
+  latitude: share.latitude,
+  longitude: share.longitude,
+  accuracy: share.accuracy,
+  started_at: share.started_at,
+  expires_at: share.expires_at,
+  ended_at: share.ended_at,
+  updated_at: share.updated_at,
+  is_active: !share.ended_at && new Date(share.expires_at) > new Date()
+});
+
+/**
+ * Latest position of a set of live_location messages
+ * Returns Map of message_id -> { latitude, longitude, accuracy, started_at, expires_at, ended_at, updated_at, is_active }
+ */
+const getLiveLocationSummaries = async (messageIds) => {
+  const summaries = new Map();
+
+  if (messageIds.length === 0) {
+    return summaries;
+  }
+
+  const shares = await db.LiveLocationShare.findAll({
+    where: { message_id: { [Op.in]: messageIds } }
+  });
+
+  shares.forEach(share => summaries.set(share.message_id, toSummary(share)));
+
+  return summaries;
+};
+
+/**
+ * Load an active share owned by the user
+ */
+const findActiveShare = async (userId, messageId) => {
+  const share = await db.LiveLocationShare.findByPk(messageId);
+
+  if (!share) {
+    throw new Error('Live location not found');
+  }
+
+  if (share.sender_id !== userId) {
+    throw new Error('You can only update your own live location');
+  }
+
+  if (share.ended_at || new Date(share.expires_at) <= new Date()) {
+    throw new Error('This live location has ended');
+  }
+
+  return share;
+};
+
+/**
+ * Record the sender's latest position
+ * @returns {Promise<Object>} - The updated share
+ */
+const updateLiveLocation = async (userId, messageId, position) => {
+  const coordinates = validateCoordinates(position);
+  const share = await findActiveShare(userId, messageId);
+
+  await share.update({ ...coordinates, updated_at: new Date() });
+
+  return share;
+};
+
+/**
+ * Stop sharing before the duration runs out
+ */
+const stopLiveLocation = async (userId, messageId) => {
+  const share = await findActiveShare(userId, messageId);
+
+  await share.update({ ended_at: new Date() });
+
+  return share;
+};
+
+/**
+ * End shares whose duration has run out
+ * @returns {Promise<Array>} - The shares that were ended
+ */
+const endExpiredLiveLocations = async () => {
+  const expired = await db.LiveLocationShare.findAll({
+    where: {
+      ended_at: null,
+      expires_at: { [Op.lte]: new Date() }
+    }
+  });
+
+  if (expired.length === 0) {
+    return [];
+  }
+
+  await db.LiveLocationShare.update(
+    { ended_at: new Date() },
+    { where: { message_id: { [Op.in]: expired.map(share => share.message_id) }, ended_at: null } }
+  );
+
+  return expired;
+};
+
+module.exports = {
+  validateCoordinates,
+  validateLocation,
+  resolveDuration,
+  assertNoActiveShare,
+  createLiveLocationShare,
+  toSummary,
+  getLiveLocationSummaries,
+  updateLiveLocation,
+  stopLiveLocation,
+  endExpiredLiveLocations
+};
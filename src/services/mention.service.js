@@ -0,0 +1,117 @@
+const { Op } = require('sequelize');
+const db = require('../models');
+
+// @ followed by a phone number, e.g. "@+919876543210"
+const MENTION_PATTERN = /@(\+?\d{6,15})\b/g;
+
+const normalizePhone = (phone) => String(phone).replace(/\D/g, '');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "@<name>" as a whole token: not inside a word or email address, not followed by more of a word
+const namePattern = (name) => new RegExp(`(?<![\\p{L}\\p{N}_.])@${escapeRegExp(name)}(?![\\p{L}\\p{N}_])`, 'iu');
+
+/**
+ * Work out who a group message mentions
+ * Combines `@<name>` and `@<phone>` tokens in the text with explicit user ids from the client,
+ * keeping only members of the chat (never the sender). Names are matched against members'
+ * display names, longest first, and a name shared by two members matches neither.
+ * @returns {Promise<Array<Number>>} - Mentioned user ids
+ */
+const resolveMentions = async (chatId, senderId, text, mentionIds) => {
+  if (mentionIds !== null && mentionIds !== undefined && !Array.isArray(mentionIds)) {
+    throw new Error('mentions must be an array of user ids');
+  }
+
+  const explicitIds = (mentionIds || []).map(id => parseInt(id)).filter(Boolean);
+  const phones = [...String(text || '').matchAll(MENTION_PATTERN)].map(match => normalizePhone(match[1]));
+
+  if (explicitIds.length === 0 && !String(text || '').includes('@')) {
+    return [];
+  }
+
+  const members = await db.ChatMember.findAll({
+    where: { chat_id: chatId, user_id: { [Op.ne]: senderId } },
+    include: [{ model: db.User, attributes: ['id', 'name', 'phone_number'] }],
+    attributes: ['user_id']
+  });
+
+  const memberIds = new Set(members.map(member => member.user_id));
+  const notMembers = explicitIds.filter(id => !memberIds.has(id) && id !== senderId);
+
+  if (notMembers.length > 0) {
+    throw new Error(`Mentioned users are not members of this chat: ${notMembers.join(', ')}`);
+  }
+
+  const mentioned = new Set(explicitIds.filter(id => memberIds.has(id)));
+
+  // Text tokens that don't match a member are left as plain text
+  members.forEach(member => {
+    if (phones.includes(normalizePhone(member.User.phone_number))) {
+      mentioned.add(member.user_id);
+    }
+  });
+
+  const byName = new Map();
+  members.forEach(member => {
+    const name = (member.User.name || '').trim();
+    if (!name) return;
+    const key = name.toLowerCase();
+    byName.set(key, byName.has(key) ? null : { name, userId: member.user_id });
+  });
+
+  // Longest names first, blanking each match so "@Ann Lee" does not also mention "Ann"
+  let remaining = String(text || '');
+  [...byName.values()]
+    .filter(Boolean)
+    .sort((a, b) => b.name.length - a.name.length)
+    .forEach(({ name, userId }) => {
+      const pattern = namePattern(name);
+      if (!pattern.test(remaining)) return;
+      mentioned.add(userId);
+      remaining = remaining.replace(new RegExp(pattern.source, 'giu'), ' ');
+    });
+
+  return [...mentioned];
+};
+
+/**
+ * Store the mentions of a new message
+ */
+const createMentions = async (message, userIds) => {
+  return db.MessageMention.bulkCreate(userIds.map(userId => ({
+    message_id: message.id,
+    user_id: userId,
+    chat_id: message.chat_id
+  })));
+};
+
+/**
+ * Mentioned user ids for a set of messages
+ * Returns Map of message_id -> [user_id]
+ */
+const getMentionSummaries = async (messageIds) => {
+  const summaries = new Map();
+
+  if (messageIds.length === 0) {
+    return summaries;
+  }
+
+  const mentions = await db.MessageMention.findAll({
+    where: { message_id: { [Op.in]: messageIds } },
+    attributes: ['message_id', 'user_id']
+  });
+
+  mentions.forEach(({ message_id, user_id }) => {
+    if (!summaries.has(message_id)) summaries.set(message_id, []);
+    summaries.get(message_id).push(user_id);
+  });
+
+  return summaries;
+};
+
+module.exports = {
+  resolveMentions,
+  createMentions,
+  getMentionSummaries
+};
@@ -1,19 +1,124 @@
 const { Op } = require('sequelize');
 const db = require('../models');
+const s3Service = require('./s3.service');
+const pollService = require('./poll.service');
+const locationService = require('./location.service');
+const contactService = require('./contact.service');
+const audioService = require('./audio.service');
+const mentionService = require('./mention.service');
+const draftService = require('./draft.service');
+const { MAX_FORWARD_TARGETS, DISAPPEARING_TTLS, MESSAGE_TYPES } = require('../constants');
+
+// Message types whose content is an uploaded media URL
+const MEDIA_TYPES = [MESSAGE_TYPES.IMAGE, MESSAGE_TYPES.VIDEO, MESSAGE_TYPES.AUDIO, MESSAGE_TYPES.FILE];
+
+// Message types whose coordinates live in the latitude/longitude columns
+const LOCATION_TYPES = [MESSAGE_TYPES.LOCATION, MESSAGE_TYPES.LIVE_LOCATION];
+
+// Most results returned by one search request
+const MAX_SEARCH_RESULTS = 50;
+
+// Most replies returned by one thread request
+const MAX_THREAD_PAGE = 100;
+
+// Most messages returned by one chat history request
+const MAX_MESSAGE_PAGE = 100;
+
+// Most messages returned by one starred messages request
+const MAX_STARRED_PAGE = 100;
+
+// Most mentions returned by one mentions request
+const MAX_MENTIONS_PAGE = 100;
+
+// How long after sending a message the sender may still edit it
+const EDIT_WINDOW_MINUTES = parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES) || 15;
+
+// How long after sending a message the sender may still delete it for everyone
+const DELETE_WINDOW_MINUTES = parseInt(process.env.MESSAGE_DELETE_WINDOW_MINUTES) || 48 * 60;
+
+/**
+ * Subquery of message ids the user has deleted for themselves.
+ * Use as `id: { [Op.notIn]: hiddenMessageIds(userId) }` to hide them.
+ */
+const hiddenMessageIds = (userId) => db.sequelize.literal(
+  `(SELECT message_id FROM message_deletions WHERE user_id = ${parseInt(userId)})`
+);
 
 /**
  * Send a message to a chat
  */
-const sendMessage = async (userId, { chat_id, content, message_type = 'text', reply_to = null, caption = null }) => {
+const sendMessage = async (userId, {
+  chat_id,
+  content,
+  message_type = 'text',
+  reply_to = null,
+  caption = null,
+  forwarded_from_message_id = null,
+  forward_count = 0,
+  poll = null,
+  location = null,
+  live_duration = null,
+  contacts = null,
+  vcard_version = '3.0',
+  audio = null,
+  mentions = null,
+  client_message_id = null,
+  broadcast_id = null
+}) => {
   // Verify user is a member of the chat
   const membership = await db.ChatMember.findOne({
-    where: { chat_id, user_id: userId }
+    where: { chat_id, user_id: userId },
+    include: [{ model: db.Chat, attributes: ['id', 'is_group', 'disappearing_ttl'] }]
   });
 
   if (!membership) {
     throw new Error('User is not a member of this chat');
   }
 
+  // Poll messages: content is the question, options come in `poll`
+  let pollOptions = null;
+  if (message_type === MESSAGE_TYPES.POLL) {
+    pollOptions = pollService.validatePollOptions(poll?.options);
+  }
+
+  // Location messages: coordinates come in `location`, content is the place name
+  let coordinates = null;
+  let liveDurationMs = null;
+  if (LOCATION_TYPES.includes(message_type)) {
+    coordinates = locationService.validateLocation(location);
+    content = coordinates.name || '';
+  }
+
+  if (message_type === MESSAGE_TYPES.LIVE_LOCATION) {
+    liveDurationMs = locationService.resolveDuration(live_duration);
+    await locationService.assertNoActiveShare(userId, chat_id);
+  }
+
+  // Contact messages: content is the vCard payload (forwards reuse the original)
+  if (message_type === MESSAGE_TYPES.CONTACT && !forwarded_from_message_id) {
+    content = await contactService.buildContactCards(contacts, vcard_version);
+  }
+
+  // Audio messages: duration (and optional waveform) in `audio`, content is the uploaded file URL.
+  // Forwards of older audio stored without a duration are let through as they are.
+  let audioInfo = null;
+  if (message_type === MESSAGE_TYPES.AUDIO && (!forwarded_from_message_id || audio)) {
+    audioInfo = audioService.validateAudio(audio);
+  }
+
+  // @mentions - group chats only, from the text or caption of a new (not forwarded) message
+  let mentionedUserIds = [];
+  if (membership.Chat.is_group && message_type !== MESSAGE_TYPES.SYSTEM && !forwarded_from_message_id) {
+    const text = message_type === MESSAGE_TYPES.TEXT ? content : caption;
+    mentionedUserIds = await mentionService.resolveMentions(chat_id, userId, text, mentions);
+  }
+
+  // Disappearing messages - system notices are kept
+  const ttl = DISAPPEARING_TTLS[membership.Chat.disappearing_ttl];
+  const expires_at = ttl && message_type !== MESSAGE_TYPES.SYSTEM
+    ? new Date(Date.now() + ttl)
+    : null;
+
   // Create the message
   const message = await db.Message.create({
     chat_id,
@@ -22,9 +127,34 @@ const sendMessage = async (userId, { chat_id, content, message_type = 'text', re
     message_type,
     reply_to,
     caption,
+    forwarded_from_message_id,
+    forward_count,
+    expires_at,
+    poll_allow_multiple: !!(pollOptions && poll.allow_multiple),
+    latitude: coordinates?.latitude ?? null,
+    longitude: coordinates?.longitude ?? null,
+    location_accuracy: coordinates?.accuracy ?? null,
+    location_name: coordinates?.name ?? null,
+    audio_duration: audioInfo?.duration ?? null,
+    audio_waveform: audioInfo?.waveform ?? null,
+    client_message_id,
+    broadcast_id,
     status: 'sent'
   });
 
+  if (pollOptions) {
+    await pollService.createPollOptions(message.id, pollOptions);
+  }
+
+  if (mentionedUserIds.length > 0) {
+    await mentionService.createMentions(message, mentionedUserIds);
+  }
+
+  let liveShare = null;
+  if (liveDurationMs) {
+    liveShare = await locationService.createLiveLocationShare(message, coordinates, liveDurationMs);
+  }
+
   // Get all chat members except sender for message status tracking
   const chatMembers = await db.ChatMember.findAll({
     where: {
@@ -45,8 +175,15 @@ const sendMessage = async (userId, { chat_id, content, message_type = 'text', re
     await db.MessageStatus.bulkCreate(statusEntries);
   }
 
+  return loadSentMessage(userId, message.id);
+};
+
+/**
+ * Load a just-sent message the way sendMessage returns it
+ */
+const loadSentMessage = async (userId, messageId) => {
   // Fetch complete message with associations
-  const completeMessage = await db.Message.findByPk(message.id, {
+  const completeMessage = await db.Message.findByPk(messageId, {
     include: [
       {
         model: db.User,
@@ -56,7 +193,7 @@ const sendMessage = async (userId, { chat_id, content, message_type = 'text', re
       {
         model: db.Message,
         as: 'ReplyTo',
-        attributes: ['id', 'content', 'sender_id'],
+        attributes: ['id', 'content', 'sender_id', 'is_deleted'],
         include: [{
           model: db.User,
           as: 'User',
@@ -66,102 +203,1075 @@ const sendMessage = async (userId, { chat_id, content, message_type = 'text', re
     ]
   });
 
+  if (completeMessage.message_type === MESSAGE_TYPES.POLL) {
+    const pollSummaries = await pollService.getPollSummaries(userId, [completeMessage]);
+    completeMessage.setDataValue('poll', pollSummaries.get(completeMessage.id));
+  }
+
+  if (completeMessage.message_type === MESSAGE_TYPES.LIVE_LOCATION) {
+    const liveLocations = await locationService.getLiveLocationSummaries([completeMessage.id]);
+    completeMessage.setDataValue('live_location', liveLocations.get(completeMessage.id) || null);
+  }
+
+  if (completeMessage.message_type === MESSAGE_TYPES.CONTACT) {
+    const contactCards = await contactService.getContactCardSummaries([completeMessage]);
+    completeMessage.setDataValue('contacts', contactCards.get(completeMessage.id));
+  }
+
+  const mentionSummaries = await mentionService.getMentionSummaries([completeMessage.id]);
+  completeMessage.setDataValue('mentions', mentionSummaries.get(completeMessage.id) || []);
+
   return completeMessage;
 };
 
-/**
- * Get messages for a specific chat with pagination
- */
-const getMessages = async (userId, chatId, { limit = 50, offset = 0, before_id = null }) => {
+/**
+ * Send a message at most once per client_message_id
+ * A retry with an id the sender already used returns the stored message instead of a copy.
+ * A new message also clears the sender's draft for that chat (draft_cleared tells the
+ * caller to sync that to the sender's other devices).
+ * @returns {Promise<{message: Object, duplicate: Boolean, draft_cleared: Boolean}>}
+ */
+const sendMessageOnce = async (userId, payload) => {
+  const { client_message_id } = payload;
+
+  const send = async () => {
+    const message = await sendMessage(userId, payload);
+    const draftCleared = await draftService.clearDraft(userId, message.chat_id);
+    return { message, duplicate: false, draft_cleared: draftCleared };
+  };
+
+  if (client_message_id === null || client_message_id === undefined) {
+    return send();
+  }
+
+  if (typeof client_message_id !== 'string' || client_message_id.length === 0 || client_message_id.length > 64) {
+    throw new Error('client_message_id must be a string of at most 64 characters');
+  }
+
+  const findStored = async () => {
+    const stored = await db.Message.findOne({
+      where: { sender_id: userId, client_message_id },
+      attributes: ['id']
+    });
+    return stored ? loadSentMessage(userId, stored.id) : null;
+  };
+
+  const existing = await findStored();
+  if (existing) {
+    return { message: existing, duplicate: true, draft_cleared: false };
+  }
+
+  try {
+    return await send();
+  } catch (error) {
+    // A concurrent retry stored it first
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      const stored = await findStored();
+      if (stored) return { message: stored, duplicate: true, draft_cleared: false };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Aggregate reactions for a set of messages
+ * Returns Map of message_id -> { reactions: [{ emoji, count }], my_reaction }
+ */
+const getReactionSummaries = async (userId, messageIds) => {
+  const summaries = new Map(messageIds.map(id => [id, { reactions: [], my_reaction: null }]));
+
+  if (messageIds.length === 0) {
+    return summaries;
+  }
+
+  const reactions = await db.MessageReaction.findAll({
+    where: { message_id: { [Op.in]: messageIds } },
+    attributes: ['message_id', 'user_id', 'emoji'],
+    order: [['reacted_at', 'ASC']]
+  });
+
+  reactions.forEach(({ message_id, user_id, emoji }) => {
+    const summary = summaries.get(message_id);
+    const entry = summary.reactions.find(r => r.emoji === emoji);
+
+    if (entry) {
+      entry.count++;
+    } else {
+      summary.reactions.push({ emoji, count: 1 });
+    }
+
+    if (user_id === userId) {
+      summary.my_reaction = emoji;
+    }
+  });
+
+  return summaries;
+};
+
+/**
+ * Forward a message to one or more chats
+ * The user must be a member of the source chat and of every target chat.
+ * Content (media URL for media messages) and caption are reused as-is.
+ * @returns {Promise<Array>} - The new messages, one per target chat
+ */
+const forwardMessage = async (userId, messageId, targetChatIds) => {
+  const chatIds = [...new Set((targetChatIds || []).map(id => parseInt(id)).filter(Boolean))];
+
+  if (chatIds.length === 0) {
+    throw new Error('At least one target chat is required');
+  }
+
+  if (chatIds.length > MAX_FORWARD_TARGETS) {
+    throw new Error(`Messages can be forwarded to at most ${MAX_FORWARD_TARGETS} chats at once`);
+  }
+
+  const original = await db.Message.findByPk(messageId);
+
+  if (!original) {
+    throw new Error('Message not found');
+  }
+
+  if (original.is_deleted) {
+    throw new Error('Deleted messages cannot be forwarded');
+  }
+
+  if (original.message_type === MESSAGE_TYPES.POLL) {
+    throw new Error('Polls cannot be forwarded');
+  }
+
+  if (original.message_type === MESSAGE_TYPES.LIVE_LOCATION) {
+    throw new Error('Live locations cannot be forwarded');
+  }
+
+  // Verify user is a member of the source chat
+  const sourceMembership = await db.ChatMember.findOne({
+    where: { chat_id: original.chat_id, user_id: userId }
+  });
+
+  if (!sourceMembership) {
+    throw new Error('User is not a member of this chat');
+  }
+
+  // Verify user is a member of every target chat
+  const targetMemberships = await db.ChatMember.findAll({
+    where: { chat_id: { [Op.in]: chatIds }, user_id: userId },
+    attributes: ['chat_id']
+  });
+
+  const memberOf = new Set(targetMemberships.map(m => m.chat_id));
+  const notMemberOf = chatIds.filter(id => !memberOf.has(id));
+
+  if (notMemberOf.length > 0) {
+    throw new Error(`User is not a member of chat(s): ${notMemberOf.join(', ')}`);
+  }
+
+  const forwarded = [];
+  for (const chatId of chatIds) {
+    forwarded.push(await sendMessage(userId, {
+      chat_id: chatId,
+      content: original.content,
+      message_type: original.message_type,
+      caption: original.caption,
+      location: original.message_type === MESSAGE_TYPES.LOCATION ? {
+        latitude: original.latitude,
+        longitude: original.longitude,
+        accuracy: original.location_accuracy,
+        name: original.location_name
+      } : null,
+      audio: original.message_type === MESSAGE_TYPES.AUDIO && original.audio_duration ? {
+        duration: original.audio_duration,
+        waveform: original.audio_waveform
+      } : null,
+      forwarded_from_message_id: original.id,
+      forward_count: (original.forward_count || 0) + 1
+    }));
+  }
+
+  return forwarded;
+};
+
+/**
+ * Associations loaded for messages shown in a message list
+ */
+const messageListIncludes = () => [
+  {
+    model: db.User,
+    as: 'User',
+    attributes: ['id', 'name', 'profile_pic']
+  },
+  {
+    model: db.Message,
+    as: 'ReplyTo',
+    attributes: ['id', 'content', 'sender_id', 'message_type', 'is_deleted'],
+    include: [{
+      model: db.User,
+      as: 'User',
+      attributes: ['id', 'name']
+    }]
+  },
+  {
+    model: db.MessageStatus,
+    attributes: ['user_id', 'status', 'updated_at', 'played_at']
+  }
+];
+
+/**
+ * Count the replies under each message - the whole thread below it, not just direct replies -
+ * excluding deleted replies and replies hidden for the user.
+ * This is the one definition of reply_count (message lists, getThread, thread_updated).
+ * Returns Map of message_id -> count
+ */
+const getReplyCounts = async (userId, messageIds) => {
+  if (messageIds.length === 0) {
+    return new Map();
+  }
+
+  const [rows] = await db.sequelize.query(`
+    WITH RECURSIVE thread AS (
+      SELECT r.id, r.chat_id, r.reply_to AS ancestor_id
+      FROM messages r
+      JOIN messages a ON a.id = r.reply_to AND a.chat_id = r.chat_id
+      WHERE r.reply_to IN (:messageIds)
+      UNION
+      SELECT m.id, m.chat_id, thread.ancestor_id
+      FROM messages m
+      JOIN thread ON m.reply_to = thread.id AND m.chat_id = thread.chat_id
+    )
+    SELECT thread.ancestor_id, COUNT(*) AS count
+    FROM thread
+    JOIN messages m ON m.id = thread.id
+    WHERE m.is_deleted = false
+      AND m.id NOT IN (SELECT message_id FROM message_deletions WHERE user_id = :userId)
+    GROUP BY thread.ancestor_id
+  `, { replacements: { messageIds, userId: parseInt(userId) } });
+
+  return new Map(rows.map(row => [row.ancestor_id, parseInt(row.count)]));
+};
+
+/**
+ * Turn messages loaded with messageListIncludes() into what clients get for the given user:
+ * status, reactions, stars, polls, live locations, contact cards, mentions and reply counts
+ */
+const decorateMessages = async (userId, messages) => {
+  const messageIds = messages.map(msg => msg.id);
+  const reactionSummaries = await getReactionSummaries(userId, messageIds);
+
+  const starred = await db.StarredMessage.findAll({
+    where: { user_id: userId, message_id: { [Op.in]: messageIds } },
+    attributes: ['message_id']
+  });
+  const starredIds = new Set(starred.map(s => s.message_id));
+
+  const pollSummaries = await pollService.getPollSummaries(
+    userId,
+    messages.filter(msg => msg.message_type === MESSAGE_TYPES.POLL)
+  );
+
+  const liveLocations = await locationService.getLiveLocationSummaries(
+    messages.filter(msg => msg.message_type === MESSAGE_TYPES.LIVE_LOCATION).map(msg => msg.id)
+  );
+
+  const contactCards = await contactService.getContactCardSummaries(
+    messages.filter(msg => msg.message_type === MESSAGE_TYPES.CONTACT && !msg.is_deleted)
+  );
+
+  const mentionSummaries = await mentionService.getMentionSummaries(messageIds);
+
+  const replyCounts = await getReplyCounts(userId, messageIds);
+
+  // Transform messages to include status for the requesting user
+  const transformedMessages = messages.map(msg => {
+    const msgJson = msg.toJSON();
+    
+    // If user is the sender, determine status based on recipient statuses
+    if (msgJson.sender_id === userId) {
+      // For sender: show the "worst" status among all recipients
+      const statuses = msgJson.MessageStatuses || [];
+      if (statuses.length === 0) {
+        msgJson.status = 'sent';
+      } else {
+        // Status priority: sent < delivered < read
+        const hasUndelivered = statuses.some(s => s.status === 'sent');
+        const hasUnread = statuses.some(s => s.status === 'delivered');
+        const allRead = statuses.every(s => s.status === 'read');
+        
+        if (allRead && msgJson.message_type === MESSAGE_TYPES.AUDIO && statuses.every(s => s.played_at)) {
+          msgJson.status = 'played';
+        } else if (allRead) {
+          msgJson.status = 'read';
+        } else if (hasUndelivered) {
+          msgJson.status = 'sent';
+        } else if (hasUnread) {
+          msgJson.status = 'delivered';
+        } else {
+          msgJson.status = 'sent';
+        }
+      }
+    } else {
+      // For recipient: show their own status
+      const userStatus = msgJson.MessageStatuses?.find(s => s.user_id === userId);
+      msgJson.status = userStatus?.played_at ? 'played' : userStatus?.status || 'sent';
+    }
+
+    msgJson.is_edited = !!msgJson.edited_at;
+
+    const { reactions, my_reaction } = reactionSummaries.get(msgJson.id);
+    msgJson.reactions = reactions;
+    msgJson.my_reaction = my_reaction;
+    msgJson.is_starred = starredIds.has(msgJson.id);
+
+    if (pollSummaries.has(msgJson.id)) {
+      msgJson.poll = pollSummaries.get(msgJson.id);
+    }
+
+    if (liveLocations.has(msgJson.id)) {
+      msgJson.live_location = liveLocations.get(msgJson.id);
+    }
+
+    if (contactCards.has(msgJson.id)) {
+      msgJson.contacts = contactCards.get(msgJson.id);
+    }
+
+    msgJson.mentions = mentionSummaries.get(msgJson.id) || [];
+    msgJson.reply_count = replyCounts.get(msgJson.id) || 0;
+    
+    return msgJson;
+  });
+
+  return transformedMessages;
+};
+
+/**
+ * Get messages for a specific chat with keyset pagination
+ * - no cursor: the latest messages
+ * - before_id: messages older than before_id (scrolling back)
+ * - after_id: messages newer than after_id (scrolling forward)
+ * - around_id: the target message with up to limit/2 messages on either side (jump to a message)
+ * `offset` is still honoured without a cursor or with before_id for older clients.
+ * @returns {Promise<{messages: Array, has_more_before: Boolean, has_more_after: Boolean}>}
+ */
+const getMessages = async (userId, chatId, { limit = 50, offset = 0, before_id = null, after_id = null, around_id = null }) => {
+  // Verify user is a member of the chat
+  const membership = await db.ChatMember.findOne({
+    where: { chat_id: chatId, user_id: userId }
+  });
+
+  if (!membership) {
+    throw new Error('User is not a member of this chat');
+  }
+
+  if ([before_id, after_id, around_id].filter(Boolean).length > 1) {
+    throw new Error('Use only one of before_id, after_id or around_id');
+  }
+
+  const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_MESSAGE_PAGE);
+  const skip = Math.max(parseInt(offset) || 0, 0);
+
+  // Fetch one extra row to learn whether there is more in that direction
+  const fetchPage = async (idRange, direction, take, skip = 0) => {
+    const rows = await db.Message.findAll({
+      where: {
+        chat_id: chatId,
+        [Op.and]: [
+          { id: { [Op.notIn]: hiddenMessageIds(userId) } }, // Skip messages deleted for this user
+          ...(idRange ? [{ id: idRange }] : [])
+        ]
+      },
+      include: messageListIncludes(),
+      order: [['id', direction]],
+      limit: take + 1,
+      offset: skip
+    });
+
+    return { rows: rows.slice(0, take), hasMore: rows.length > take };
+  };
+
+  // Whether any visible message exists in an id range
+  const hasMessagesIn = async (idRange) => {
+    const row = await db.Message.findOne({
+      where: {
+        chat_id: chatId,
+        [Op.and]: [
+          { id: { [Op.notIn]: hiddenMessageIds(userId) } },
+          { id: idRange }
+        ]
+      },
+      attributes: ['id']
+    });
+    return !!row;
+  };
+
+  let older = [];
+  let newer = [];
+  let hasMoreBefore;
+  let hasMoreAfter;
+
+  if (around_id) {
+    const beforeCount = Math.floor(pageSize / 2);
+    const before = await fetchPage({ [Op.lt]: around_id }, 'DESC', beforeCount);
+    const after = await fetchPage({ [Op.gte]: around_id }, 'ASC', pageSize - beforeCount);
+    older = before.rows;
+    newer = after.rows;
+    hasMoreBefore = before.hasMore || (beforeCount === 0 && await hasMessagesIn({ [Op.lt]: around_id }));
+    hasMoreAfter = after.hasMore;
+  } else if (after_id) {
+    const after = await fetchPage({ [Op.gt]: after_id }, 'ASC', pageSize);
+    newer = after.rows;
+    hasMoreAfter = after.hasMore;
+    hasMoreBefore = await hasMessagesIn({ [Op.lte]: after_id });
+  } else {
+    const before = await fetchPage(before_id ? { [Op.lt]: before_id } : null, 'DESC', pageSize, skip);
+    older = before.rows;
+    hasMoreBefore = before.hasMore;
+    hasMoreAfter = before_id
+      ? await hasMessagesIn({ [Op.gte]: before_id })
+      : skip > 0;
+  }
+
+  // Chronological order
+  const messages = [...older.reverse(), ...newer];
+
+  return {
+    messages: await decorateMessages(userId, messages),
+    has_more_before: hasMoreBefore,
+    has_more_after: hasMoreAfter
+  };
+};
+
+/**
+ * Find the message at the top of a reply chain (within the same chat)
+ */
+const getThreadRootId = async (message) => {
+  const [rows] = await db.sequelize.query(`
+    WITH RECURSIVE chain AS (
+      SELECT id, reply_to, 0 AS depth FROM messages WHERE id = :messageId
+      UNION ALL
+      SELECT m.id, m.reply_to, chain.depth + 1
+      FROM messages m
+      JOIN chain ON m.id = chain.reply_to
+      WHERE m.chat_id = :chatId AND chain.depth < 1000
+    )
+    SELECT id FROM chain ORDER BY depth DESC LIMIT 1
+  `, { replacements: { messageId: message.id, chatId: message.chat_id } });
+
+  return rows.length > 0 ? rows[0].id : message.id;
+};
+
+/**
+ * Subquery of every message replying, directly or further down, to the root
+ */
+const threadReplyIds = (rootId, chatId) => db.sequelize.literal(`(
+  WITH RECURSIVE thread AS (
+    SELECT id FROM messages WHERE reply_to = ${parseInt(rootId)} AND chat_id = ${parseInt(chatId)}
+    UNION
+    SELECT m.id FROM messages m JOIN thread ON m.reply_to = thread.id WHERE m.chat_id = ${parseInt(chatId)}
+  )
+  SELECT id FROM thread
+)`);
+
+/**
+ * Get the thread a message belongs to: its root message and every reply under it
+ * Replies are paginated in time order.
+ * @returns {Promise<{root: Object, replies: Array, reply_count: Number, has_more: Boolean}>}
+ */
+const getThread = async (userId, messageId, { limit = 50, offset = 0 }) => {
+  const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_THREAD_PAGE);
+  const skip = Math.max(parseInt(offset) || 0, 0);
+
+  const message = await db.Message.findOne({
+    where: { id: messageId, [Op.and]: [{ id: { [Op.notIn]: hiddenMessageIds(userId) } }] }
+  });
+
+  if (!message) {
+    throw new Error('Message not found');
+  }
+
+  const membership = await db.ChatMember.findOne({
+    where: { chat_id: message.chat_id, user_id: userId }
+  });
+
+  if (!membership) {
+    throw new Error('User is not a member of this chat');
+  }
+
+  const rootId = await getThreadRootId(message);
+
+  // null when the user deleted the root for themselves
+  const root = await db.Message.findOne({
+    where: { id: rootId, [Op.and]: [{ id: { [Op.notIn]: hiddenMessageIds(userId) } }] },
+    include: messageListIncludes()
+  });
+
+  const replies = await db.Message.findAll({
+    where: {
+      [Op.and]: [
+        { id: { [Op.in]: threadReplyIds(rootId, message.chat_id) } },
+        { id: { [Op.notIn]: hiddenMessageIds(userId) } } // Skip messages deleted for this user
+      ]
+    },
+    include: messageListIncludes(),
+    order: [['sent_at', 'ASC'], ['id', 'ASC']],
+    limit: pageSize + 1,
+    offset: skip
+  });
+
+  const hasMore = replies.length > pageSize;
+  const page = hasMore ? replies.slice(0, pageSize) : replies;
+
+  const decorated = await decorateMessages(userId, root ? [root, ...page] : page);
+  const replyCounts = await getReplyCounts(userId, [rootId]);
+
+  return {
+    root: root ? decorated[0] : null,
+    replies: root ? decorated.slice(1) : decorated,
+    reply_count: replyCounts.get(rootId) || 0,
+    has_more: hasMore
+  };
+};
+
+/**
+ * Root of the thread a reply belongs to and each chat member's reply_count for it (for thread_updated)
+ * Counts match getReplyCounts: whole thread, deleted replies and replies the member hid excluded.
+ * @returns {Promise<{root_id: Number, reply_counts: Map<Number, Number>}|null>} - null if the message is not a reply
+ */
+const getThreadSummary = async (message) => {
+  if (!message.reply_to) {
+    return null;
+  }
+
+  const rootId = await getThreadRootId(message);
+  const replyIds = threadReplyIds(rootId, message.chat_id);
+
+  const [total, members, hidden] = await Promise.all([
+    db.Message.count({
+      where: { id: { [Op.in]: replyIds }, is_deleted: false }
+    }),
+    db.ChatMember.findAll({
+      where: { chat_id: message.chat_id },
+      attributes: ['user_id']
+    }),
+    // Replies each member deleted for themselves
+    db.MessageDeletion.findAll({
+      where: { message_id: { [Op.in]: replyIds } },
+      include: [{ model: db.Message, attributes: [], where: { is_deleted: false } }],
+      attributes: ['user_id', [db.sequelize.fn('COUNT', db.sequelize.col('MessageDeletion.message_id')), 'count']],
+      group: ['MessageDeletion.user_id'],
+      raw: true
+    })
+  ]);
+
+  const hiddenByUser = new Map(hidden.map(row => [row.user_id, parseInt(row.count)]));
+
+  return {
+    root_id: rootId,
+    reply_counts: new Map(members.map(member => [
+      member.user_id,
+      total - (hiddenByUser.get(member.user_id) || 0)
+    ]))
+  };
+};
+
+// Receipt states in order: sent < delivered < read
+// (audio messages can go on to 'played', tracked in played_at - see markMessagePlayed)
+const RECEIPT_STATES = ['sent', 'delivered', 'read'];
+
+/**
+ * Receipt timestamps to store when a recipient reaches `status`
+ * (reading a message also counts as receiving it)
+ */
+const receiptTimestamps = (status, at) => {
+  if (status === 'read') return { delivered_at: at, read_at: at };
+  if (status === 'delivered') return { delivered_at: at };
+  return {};
+};
+
+/**
+ * Update message status (delivered/read)
+ * NOTE: Never downgrade status (read -> delivered, delivered -> sent)
+ */
+const updateMessageStatus = async (userId, messageId, status) => {
+  const message = await db.Message.findByPk(messageId);
+  
+  if (!message) {
+    throw new Error('Message not found');
+  }
+
+  // Verify user is a member of the chat
+  const membership = await db.ChatMember.findOne({
+    where: { chat_id: message.chat_id, user_id: userId }
+  });
+
+  if (!membership) {
+    throw new Error('User is not a member of this chat');
+  }
+
+  // Status hierarchy: sent < delivered < read
+  const statusHierarchy = { sent: 1, delivered: 2, read: 3 };
+
+  const now = new Date();
+
+  // Update message status for this user
+  const [messageStatus, created] = await db.MessageStatus.findOrCreate({
+    where: { message_id: messageId, user_id: userId },
+    defaults: { status, updated_at: now, ...receiptTimestamps(status, now) }
+  });
+
+  if (!created) {
+    // Only update if new status is higher in hierarchy (prevent downgrade)
+    const currentLevel = statusHierarchy[messageStatus.status] || 0;
+    const newLevel = statusHierarchy[status] || 0;
+    
+    if (newLevel > currentLevel) {
+      await messageStatus.update({
+        status,
+        updated_at: now,
+        ...receiptTimestamps(status, now),
+        // Read implies delivered; keep the original delivered time if we have one
+        ...(messageStatus.delivered_at && { delivered_at: messageStatus.delivered_at })
+      });
+    } else {
+      console.log(`[DEBUG] Skipping status update for message ${messageId}: current=${messageStatus.status}, attempted=${status} (no downgrade)`);
+    }
+  }
+
+  return messageStatus;
+};
+
+/**
+ * Mark an audio message as played by a recipient
+ * Playing also reads it; played_at keeps the first play.
+ * @returns {Promise<{message: Object, played_at: Date, first_play: Boolean}>}
+ */
+const markMessagePlayed = async (userId, messageId) => {
+  const message = await db.Message.findByPk(messageId);
+
+  if (!message || message.is_deleted) {
+    throw new Error('Message not found');
+  }
+
+  if (message.message_type !== MESSAGE_TYPES.AUDIO) {
+    throw new Error('Only audio messages can be played');
+  }
+
+  if (message.sender_id === userId) {
+    throw new Error('Cannot mark your own message as played');
+  }
+
+  // Checks membership and upgrades the receipt to read
+  const messageStatus = await updateMessageStatus(userId, message.id, 'read');
+
+  if (messageStatus.played_at) {
+    return { message, played_at: messageStatus.played_at, first_play: false };
+  }
+
+  await messageStatus.update({ played_at: new Date() });
+  return { message, played_at: messageStatus.played_at, first_play: true };
+};
+
+/**
+ * Update multiple messages status (bulk operation)
+ * Ids of messages outside the chat, or sent by the user, are ignored.
+ * @returns {Promise<{updated: Number, created: Number, message_ids: Array<Number>}>}
+ */
+const bulkUpdateMessageStatus = async (userId, chatId, messageIds, status) => {
+  // Verify user is a member of the chat
+  const membership = await db.ChatMember.findOne({
+    where: { chat_id: chatId, user_id: userId }
+  });
+
+  if (!membership) {
+    throw new Error('User is not a member of this chat');
+  }
+
+  console.log(`[DEBUG] bulkUpdateMessageStatus: userId=${userId}, chatId=${chatId}, messageIds=${JSON.stringify(messageIds)}, status=${status}`);
+
+  // Only other members' messages in this chat get a receipt from this user
+  const receivable = await db.Message.findAll({
+    where: {
+      id: { [Op.in]: messageIds.map(id => parseInt(id)).filter(Boolean) },
+      chat_id: chatId,
+      sender_id: { [Op.ne]: userId }
+    },
+    attributes: ['id']
+  });
+  const receivableIds = receivable.map(message => message.id);
+
+  // Get ALL message status entries for this user in this chat
+  const allMessageStatuses = await db.MessageStatus.findAll({
+    where: {
+      user_id: userId
+    },
+    include: [{
+      model: db.Message,
+      where: { chat_id: chatId },
+      attributes: ['id', 'sender_id']
+    }],
+    attributes: ['message_id', 'status']
+  });
+
+  console.log(`[DEBUG] Total MessageStatus entries for user ${userId} in chat ${chatId}:`, allMessageStatuses.length);
+  console.log(`[DEBUG] MessageStatus details:`, allMessageStatuses.map(ms => ({
+    message_id: ms.message_id,
+    status: ms.status
+  })));
+
+  // Get existing message status entries
+  const existingStatuses = await db.MessageStatus.findAll({
+    where: {
+      message_id: { [Op.in]: receivableIds },
+      user_id: userId
+    },
+    attributes: ['message_id']
+  });
+
+  const existingMessageIds = existingStatuses.map(s => s.message_id);
+  const missingMessageIds = receivableIds.filter(id => !existingMessageIds.includes(id));
+
+  console.log(`[DEBUG] Existing MessageStatus entries:`, existingMessageIds);
+  console.log(`[DEBUG] Missing MessageStatus entries:`, missingMessageIds);
+
+  const now = new Date();
+
+  // Update existing statuses
+  if (existingMessageIds.length > 0) {
+    const timestamps = {};
+    for (const [field, value] of Object.entries(receiptTimestamps(status, now))) {
+      // Never overwrite an earlier receipt time
+      timestamps[field] = db.sequelize.fn('COALESCE', db.sequelize.col(field), value);
+    }
+
+    await db.MessageStatus.update(
+      { status, updated_at: now, ...timestamps },
+      {
+        where: {
+          message_id: { [Op.in]: existingMessageIds },
+          user_id: userId,
+          // No downgrade (read -> delivered), same as updateMessageStatus
+          status: { [Op.in]: RECEIPT_STATES.slice(0, RECEIPT_STATES.indexOf(status)) }
+        }
+      }
+    );
+  }
+
+  // Create missing statuses
+  if (missingMessageIds.length > 0) {
+    const newStatuses = missingMessageIds.map(messageId => ({
+      message_id: messageId,
+      user_id: userId,
+      status,
+      updated_at: now,
+      ...receiptTimestamps(status, now)
+    }));
+    await db.MessageStatus.bulkCreate(newStatuses);
+  }
+
+  return {
+    updated: existingMessageIds.length,
+    created: missingMessageIds.length,
+    message_ids: receivableIds
+  };
+};
+
+/**
+ * Receipt details of a message ("Message info")
+ * Only the sender may see who each message was delivered to and read by.
+ * Recipients are split into read_by, delivered_to (delivered, not read yet)
+ * and pending (not delivered yet), each with their own timestamps.
+ * Audio messages add played_by (read and played) and played_at.
+ */
+const getMessageReceipts = async (userId, messageId) => {
+  const message = await db.Message.findByPk(messageId, {
+    attributes: ['id', 'chat_id', 'sender_id', 'message_type', 'sent_at', 'is_deleted']
+  });
+
+  if (!message || message.is_deleted) {
+    throw new Error('Message not found');
+  }
+
+  if (message.sender_id !== userId) {
+    throw new Error('Only the sender can view message receipts');
+  }
+
+  const statuses = await db.MessageStatus.findAll({
+    where: { message_id: message.id, user_id: { [Op.ne]: message.sender_id } },
+    attributes: ['user_id', 'status', 'delivered_at', 'read_at', 'played_at'],
+    include: [{
+      model: db.User,
+      attributes: ['id', 'name', 'profile_pic']
+    }],
+    order: [['read_at', 'DESC'], ['delivered_at', 'DESC'], ['user_id', 'ASC']]
+  });
+
+  // Audio messages also list who played them (played_by is not in read_by)
+  const isAudio = message.message_type === MESSAGE_TYPES.AUDIO;
+  const receipts = { ...(isAudio && { played_by: [] }), read_by: [], delivered_to: [], pending: [] };
+
+  for (const row of statuses) {
+    const receipt = {
+      user: row.User,
+      delivered_at: row.delivered_at,
+      read_at: row.read_at,
+      ...(isAudio && { played_at: row.played_at })
+    };
+
+    if (isAudio && row.played_at) {
+      receipts.played_by.push(receipt);
+    } else if (row.status === 'read') {
+      receipts.read_by.push(receipt);
+    } else if (row.status === 'delivered') {
+      receipts.delivered_to.push(receipt);
+    } else {
+      receipts.pending.push(receipt);
+    }
+  }
+
+  return {
+    message_id: message.id,
+    chat_id: message.chat_id,
+    sent_at: message.sent_at,
+    ...receipts,
+    counts: {
+      recipients: statuses.length,
+      delivered: statuses.length - receipts.pending.length,
+      read: statuses.length - receipts.pending.length - receipts.delivered_to.length,
+      ...(isAudio && { played: receipts.played_by.length })
+    }
+  };
+};
+
+/**
+ * Delete a message for everyone (tombstone)
+ * Only the sender can do this, within DELETE_WINDOW_MINUTES of sending.
+ * Content, caption, reply preview, edit history, reactions, stars, pins, poll data,
+ * mentions and location (ending any live share) are cleared.
+ */
+const deleteMessageForEveryone = async (userId, messageId) => {
+  const message = await db.Message.findByPk(messageId);
+  
+  if (!message) {
+    throw new Error('Message not found');
+  }
+
+  // Only sender can delete their message
+  if (message.sender_id !== userId) {
+    throw new Error('You can only delete your own messages');
+  }
+
+  if (message.is_deleted) {
+    return message;
+  }
+
+  const windowEnd = new Date(message.sent_at).getTime() + DELETE_WINDOW_MINUTES * 60 * 1000;
+  if (Date.now() > windowEnd) {
+    throw new Error('This message is too old to be deleted for everyone');
+  }
+
+  await db.sequelize.transaction(async (transaction) => {
+    await db.MessageEdit.destroy({ where: { message_id: message.id }, transaction });
+    await db.MessageReaction.destroy({ where: { message_id: message.id }, transaction });
+    await db.StarredMessage.destroy({ where: { message_id: message.id }, transaction });
+    await db.PinnedMessage.destroy({ where: { message_id: message.id }, transaction });
+    await db.PollVote.destroy({ where: { message_id: message.id }, transaction });
+    await db.PollOption.destroy({ where: { message_id: message.id }, transaction });
+    await db.LiveLocationShare.destroy({ where: { message_id: message.id }, transaction });
+    await db.MessageMention.destroy({ where: { message_id: message.id }, transaction });
+
+    await message.update({
+      is_deleted: true,
+      deleted_at: new Date(),
+      content: '',
+      caption: null,
+      reply_to: null,
+      link_preview: null,
+      latitude: null,
+      longitude: null,
+      location_accuracy: null,
+      location_name: null,
+      audio_duration: null,
+      audio_waveform: null
+    }, { transaction });
+  });
+
+  return message;
+};
+
+/**
+ * Delete a message for the current user only
+ */
+const deleteMessageForMe = async (userId, messageId) => {
+  const message = await db.Message.findByPk(messageId);
+
+  if (!message) {
+    throw new Error('Message not found');
+  }
+
+  // Verify user is a member of the chat
+  const membership = await db.ChatMember.findOne({
+    where: { chat_id: message.chat_id, user_id: userId }
+  });
+
+  if (!membership) {
+    throw new Error('User is not a member of this chat');
+  }
+
+  await db.MessageDeletion.findOrCreate({
+    where: { message_id: message.id, user_id: userId },
+    defaults: { deleted_at: new Date() }
+  });
+
+  await db.StarredMessage.destroy({
+    where: { message_id: message.id, user_id: userId }
+  });
+
+  return message;
+};
+
+/**
+ * Edit a message's text (or caption for media messages)
+ * Only the sender can edit, and only within EDIT_WINDOW_MINUTES of sending.
+ * The previous version is kept in message_edits.
+ */
+const editMessage = async (userId, messageId, { content, caption }) => {
+  const message = await db.Message.findByPk(messageId);
+
+  if (!message) {
+    throw new Error('Message not found');
+  }
+
+  // Only sender can edit their message
+  if (message.sender_id !== userId) {
+    throw new Error('You can only edit your own messages');
+  }
+
+  if (message.is_deleted) {
+    throw new Error('Deleted messages cannot be edited');
+  }
+
+  if ([MESSAGE_TYPES.POLL, MESSAGE_TYPES.SYSTEM, MESSAGE_TYPES.CONTACT, ...LOCATION_TYPES].includes(message.message_type)) {
+    throw new Error('This message cannot be edited');
+  }
+
+  const windowEnd = new Date(message.sent_at).getTime() + EDIT_WINDOW_MINUTES * 60 * 1000;
+  if (Date.now() > windowEnd) {
+    throw new Error(`Messages can only be edited within ${EDIT_WINDOW_MINUTES} minutes of sending`);
+  }
+
+  // Text messages edit the content, media messages edit the caption
+  const updates = {};
+  if (message.message_type === 'text') {
+    if (typeof content !== 'string' || content.trim().length === 0) {
+      throw new Error('content is required');
+    }
+    if (content !== message.content) {
+      updates.content = content;
+      updates.link_preview = null; // Rebuilt for the new text
+    }
+  } else {
+    if (caption !== null && caption !== undefined && typeof caption !== 'string') {
+      throw new Error('Caption must be a string');
+    }
+    const newCaption = (caption || '').trim() || null;
+    if (newCaption !== message.caption) updates.caption = newCaption;
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return message;
+  }
+
+  const editedAt = new Date();
+
+  await db.sequelize.transaction(async (transaction) => {
+    await db.MessageEdit.create({
+      message_id: message.id,
+      content: message.content,
+      caption: message.caption,
+      edited_at: editedAt
+    }, { transaction });
+
+    await message.update({ ...updates, edited_at: editedAt }, { transaction });
+  });
+
+  return message;
+};
+
+/**
+ * Get the edit history of a message (oldest version first)
+ */
+const getMessageEditHistory = async (userId, messageId) => {
+  const message = await db.Message.findByPk(messageId, {
+    attributes: ['id', 'chat_id', 'sender_id', 'message_type', 'content', 'caption', 'sent_at', 'edited_at']
+  });
+
+  if (!message) {
+    throw new Error('Message not found');
+  }
+
+  // Verify user is a member of the chat
+  const membership = await db.ChatMember.findOne({
+    where: { chat_id: message.chat_id, user_id: userId }
+  });
+
+  if (!membership) {
+    throw new Error('User is not a member of this chat');
+  }
+
+  const edits = await db.MessageEdit.findAll({
+    where: { message_id: messageId },
+    attributes: ['id', 'content', 'caption', 'edited_at'],
+    order: [['edited_at', 'ASC'], ['id', 'ASC']]
+  });
+
+  return {
+    message,
+    is_edited: !!message.edited_at,
+    edits
+  };
+};
+
+/**
+ * React to a message with an emoji (replaces the user's previous reaction)
+ */
+const reactToMessage = async (userId, messageId, emoji) => {
+  if (typeof emoji !== 'string' || emoji.trim().length === 0 || emoji.length > 32 || /\s/.test(emoji)) {
+    throw new Error('A single emoji is required');
+  }
+
+  const message = await db.Message.findByPk(messageId);
+
+  if (!message) {
+    throw new Error('Message not found');
+  }
+
   // Verify user is a member of the chat
   const membership = await db.ChatMember.findOne({
-    where: { chat_id: chatId, user_id: userId }
+    where: { chat_id: message.chat_id, user_id: userId }
   });
 
   if (!membership) {
     throw new Error('User is not a member of this chat');
   }
 
-  const whereClause = { chat_id: chatId };
-  
-  // If before_id is provided, get messages before that ID
-  if (before_id) {
-    whereClause.id = { [Op.lt]: before_id };
+  if (message.is_deleted) {
+    throw new Error('Cannot react to a deleted message');
   }
 
-  const messages = await db.Message.findAll({
-    where: whereClause,
-    include: [
-      {
-        model: db.User,
-        as: 'User',
-        attributes: ['id', 'name', 'profile_pic']
-      },
-      {
-        model: db.Message,
-        as: 'ReplyTo',
-        attributes: ['id', 'content', 'sender_id', 'message_type'],
-        include: [{
-          model: db.User,
-          as: 'User',
-          attributes: ['id', 'name']
-        }]
-      },
-      {
-        model: db.MessageStatus,
-        attributes: ['user_id', 'status', 'updated_at']
-      }
-    ],
-    order: [['id', 'DESC']],
-    limit: parseInt(limit),
-    offset: parseInt(offset)
-  });
-
-  // Transform messages to include status for the requesting user
-  const transformedMessages = messages.map(msg => {
-    const msgJson = msg.toJSON();
-    
-    // If user is the sender, determine status based on recipient statuses
-    if (msgJson.sender_id === userId) {
-      // For sender: show the "worst" status among all recipients
-      const statuses = msgJson.MessageStatuses || [];
-      if (statuses.length === 0) {
-        msgJson.status = 'sent';
-      } else {
-        // Status priority: sent < delivered < read
-        const hasUndelivered = statuses.some(s => s.status === 'sent');
-        const hasUnread = statuses.some(s => s.status === 'delivered');
-        const allRead = statuses.every(s => s.status === 'read');
-        
-        if (allRead) {
-          msgJson.status = 'read';
-        } else if (hasUndelivered) {
-          msgJson.status = 'sent';
-        } else if (hasUnread) {
-          msgJson.status = 'delivered';
-        } else {
-          msgJson.status = 'sent';
-        }
-      }
-    } else {
-      // For recipient: show their own status
-      const userStatus = msgJson.MessageStatuses?.find(s => s.user_id === userId);
-      msgJson.status = userStatus?.status || 'sent';
-    }
-    
-    return msgJson;
+  await db.MessageReaction.upsert({
+    message_id: message.id,
+    user_id: userId,
+    emoji,
+    reacted_at: new Date()
   });
 
-  return transformedMessages.reverse(); // Return in chronological order
+  const summaries = await getReactionSummaries(userId, [message.id]);
+  return { message, reactions: summaries.get(message.id).reactions };
 };
 
 /**
- * Update message status (delivered/read)
- * NOTE: Never downgrade status (read -> delivered, delivered -> sent)
+ * Remove the user's reaction from a message
  */
-const updateMessageStatus = async (userId, messageId, status) => {
+const unreactMessage = async (userId, messageId) => {
   const message = await db.Message.findByPk(messageId);
-  
+
   if (!message) {
     throw new Error('Message not found');
   }
@@ -175,134 +1285,237 @@ const updateMessageStatus = async (userId, messageId, status) => {
     throw new Error('User is not a member of this chat');
   }
 
-  // Status hierarchy: sent < delivered < read
-  const statusHierarchy = { sent: 1, delivered: 2, read: 3 };
-
-  // Update message status for this user
-  const [messageStatus, created] = await db.MessageStatus.findOrCreate({
-    where: { message_id: messageId, user_id: userId },
-    defaults: { status, updated_at: new Date() }
+  await db.MessageReaction.destroy({
+    where: { message_id: message.id, user_id: userId }
   });
 
-  if (!created) {
-    // Only update if new status is higher in hierarchy (prevent downgrade)
-    const currentLevel = statusHierarchy[messageStatus.status] || 0;
-    const newLevel = statusHierarchy[status] || 0;
-    
-    if (newLevel > currentLevel) {
-      await messageStatus.update({
-        status,
-        updated_at: new Date()
-      });
-    } else {
-      console.log(`[DEBUG] Skipping status update for message ${messageId}: current=${messageStatus.status}, attempted=${status} (no downgrade)`);
-    }
-  }
-
-  return messageStatus;
+  const summaries = await getReactionSummaries(userId, [message.id]);
+  return { message, reactions: summaries.get(message.id).reactions };
 };
 
 /**
- * Update multiple messages status (bulk operation)
+ * Star a message for the current user
  */
-const bulkUpdateMessageStatus = async (userId, chatId, messageIds, status) => {
+const starMessage = async (userId, messageId) => {
+  const message = await db.Message.findByPk(messageId);
+
+  if (!message) {
+    throw new Error('Message not found');
+  }
+
   // Verify user is a member of the chat
   const membership = await db.ChatMember.findOne({
-    where: { chat_id: chatId, user_id: userId }
+    where: { chat_id: message.chat_id, user_id: userId }
   });
 
   if (!membership) {
     throw new Error('User is not a member of this chat');
   }
 
-  console.log(`[DEBUG] bulkUpdateMessageStatus: userId=${userId}, chatId=${chatId}, messageIds=${JSON.stringify(messageIds)}, status=${status}`);
+  if (message.is_deleted) {
+    throw new Error('Cannot star a deleted message');
+  }
 
-  // Get ALL message status entries for this user in this chat
-  const allMessageStatuses = await db.MessageStatus.findAll({
+  const [starred] = await db.StarredMessage.findOrCreate({
+    where: { user_id: userId, message_id: message.id },
+    defaults: { starred_at: new Date() }
+  });
+
+  return starred;
+};
+
+/**
+ * Remove a star from a message for the current user
+ */
+const unstarMessage = async (userId, messageId) => {
+  const removed = await db.StarredMessage.destroy({
+    where: { user_id: userId, message_id: messageId }
+  });
+
+  return removed > 0;
+};
+
+/**
+ * Get the user's starred messages across all chats (most recently starred first)
+ * Only messages in chats the user is still a member of are returned.
+ */
+const getStarredMessages = async (userId, { limit = 50, offset = 0 }) => {
+  const starred = await db.StarredMessage.findAll({
     where: {
-      user_id: userId
+      user_id: userId,
+      message_id: { [Op.notIn]: hiddenMessageIds(userId) }
     },
     include: [{
       model: db.Message,
-      where: { chat_id: chatId },
-      attributes: ['id', 'sender_id']
+      required: true,
+      where: {
+        is_deleted: false,
+        chat_id: {
+          [Op.in]: db.sequelize.literal(`(SELECT chat_id FROM chat_members WHERE user_id = ${parseInt(userId)})`)
+        }
+      },
+      include: [
+        {
+          model: db.User,
+          as: 'User',
+          attributes: ['id', 'name', 'profile_pic']
+        },
+        {
+          model: db.Chat,
+          attributes: ['id', 'is_group', 'group_name', 'group_icon']
+        }
+      ]
     }],
-    attributes: ['message_id', 'status']
+    order: [['starred_at', 'DESC']],
+    limit: Math.min(Math.max(parseInt(limit) || 50, 1), MAX_STARRED_PAGE),
+    offset: Math.max(parseInt(offset) || 0, 0)
   });
 
-  console.log(`[DEBUG] Total MessageStatus entries for user ${userId} in chat ${chatId}:`, allMessageStatuses.length);
-  console.log(`[DEBUG] MessageStatus details:`, allMessageStatuses.map(ms => ({
-    message_id: ms.message_id,
-    status: ms.status
-  })));
+  return starred.map(star => ({
+    ...star.Message.toJSON(),
+    is_starred: true,
+    starred_at: star.starred_at
+  }));
+};
 
-  // Get existing message status entries
-  const existingStatuses = await db.MessageStatus.findAll({
+/**
+ * Count unread mentions of the user, per chat
+ * Returns Map of chat_id -> count
+ */
+const getUnreadMentionCounts = async (userId) => {
+  const rows = await db.MessageMention.findAll({
     where: {
-      message_id: { [Op.in]: messageIds },
-      user_id: userId
+      user_id: userId,
+      message_id: { [Op.notIn]: hiddenMessageIds(userId) }
     },
-    attributes: ['message_id']
+    include: [{
+      model: db.Message,
+      where: { is_deleted: false },
+      attributes: [],
+      include: [{
+        model: db.MessageStatus,
+        where: { user_id: userId, status: { [Op.in]: ['sent', 'delivered'] } },
+        attributes: []
+      }]
+    }],
+    attributes: ['chat_id', [db.sequelize.fn('COUNT', db.sequelize.col('MessageMention.message_id')), 'count']],
+    group: ['MessageMention.chat_id'],
+    raw: true
   });
 
-  const existingMessageIds = existingStatuses.map(s => s.message_id);
-  const missingMessageIds = messageIds.filter(id => !existingMessageIds.includes(id));
-
-  console.log(`[DEBUG] Existing MessageStatus entries:`, existingMessageIds);
-  console.log(`[DEBUG] Missing MessageStatus entries:`, missingMessageIds);
-
-  // Update existing statuses
-  if (existingMessageIds.length > 0) {
-    await db.MessageStatus.update(
-      { status, updated_at: new Date() },
-      {
-        where: {
-          message_id: { [Op.in]: existingMessageIds },
-          user_id: userId
-        }
-      }
-    );
-  }
+  return new Map(rows.map(row => [row.chat_id, parseInt(row.count)]));
+};
 
-  // Create missing statuses
-  if (missingMessageIds.length > 0) {
-    const newStatuses = missingMessageIds.map(messageId => ({
-      message_id: messageId,
+/**
+ * Recent @mentions of the user across the chats they still belong to
+ */
+const getMentions = async (userId, { limit = 50, offset = 0 }) => {
+  const mentions = await db.MessageMention.findAll({
+    where: {
       user_id: userId,
-      status,
-      updated_at: new Date()
-    }));
-    await db.MessageStatus.bulkCreate(newStatuses);
-  }
+      message_id: { [Op.notIn]: hiddenMessageIds(userId) },
+      chat_id: {
+        [Op.in]: db.sequelize.literal(`(SELECT chat_id FROM chat_members WHERE user_id = ${parseInt(userId)})`)
+      }
+    },
+    include: [{
+      model: db.Message,
+      required: true,
+      where: { is_deleted: false },
+      include: [
+        {
+          model: db.User,
+          as: 'User',
+          attributes: ['id', 'name', 'profile_pic']
+        },
+        {
+          model: db.Chat,
+          attributes: ['id', 'is_group', 'group_name', 'group_icon']
+        },
+        {
+          model: db.MessageStatus,
+          where: { user_id: userId },
+          required: false,
+          attributes: ['status']
+        }
+      ]
+    }],
+    order: [['mentioned_at', 'DESC']],
+    limit: Math.min(Math.max(parseInt(limit) || 50, 1), MAX_MENTIONS_PAGE),
+    offset: Math.max(parseInt(offset) || 0, 0)
+  });
 
-  return {
-    updated: existingMessageIds.length,
-    created: missingMessageIds.length
-  };
+  return mentions.map(mention => {
+    const { MessageStatuses, ...message } = mention.Message.toJSON();
+    return {
+      ...message,
+      mentioned_at: mention.mentioned_at,
+      is_read: MessageStatuses?.[0]?.status === 'read'
+    };
+  });
 };
 
 /**
- * Delete a message (soft delete by updating content)
+ * Hard-delete messages whose disappearing timer has run out
+ * Removes their statuses and other per-message rows, and the S3 media
+ * unless another message (e.g. a forward) still uses the same file.
+ * @returns {Promise<Array>} - [{ chat_id, message_ids }] for each affected chat
  */
-const deleteMessage = async (userId, messageId) => {
-  const message = await db.Message.findByPk(messageId);
-  
-  if (!message) {
-    throw new Error('Message not found');
+const purgeExpiredMessages = async (limit = 500) => {
+  const expired = await db.Message.findAll({
+    where: { expires_at: { [Op.lte]: new Date() } },
+    attributes: ['id', 'chat_id', 'message_type', 'content'],
+    order: [['expires_at', 'ASC']],
+    limit
+  });
+
+  if (expired.length === 0) {
+    return [];
   }
 
-  // Only sender can delete their message
-  if (message.sender_id !== userId) {
-    throw new Error('You can only delete your own messages');
+  const ids = expired.map(msg => msg.id);
+
+  await db.sequelize.transaction(async (transaction) => {
+    const byMessage = { message_id: { [Op.in]: ids } };
+
+    await db.MessageStatus.destroy({ where: byMessage, transaction });
+    await db.MessageEdit.destroy({ where: byMessage, transaction });
+    await db.MessageDeletion.destroy({ where: byMessage, transaction });
+    await db.MessageReaction.destroy({ where: byMessage, transaction });
+    await db.StarredMessage.destroy({ where: byMessage, transaction });
+    await db.PinnedMessage.destroy({ where: byMessage, transaction });
+    await db.PollVote.destroy({ where: byMessage, transaction });
+    await db.PollOption.destroy({ where: byMessage, transaction });
+    await db.LiveLocationShare.destroy({ where: byMessage, transaction });
+    await db.MessageMention.destroy({ where: byMessage, transaction });
+
+    // Drop references from replies, forwards and scheduled sends
+    await db.Message.update({ reply_to: null }, { where: { reply_to: { [Op.in]: ids } }, transaction });
+    await db.Message.update({ forwarded_from_message_id: null }, { where: { forwarded_from_message_id: { [Op.in]: ids } }, transaction });
+    await db.ScheduledMessage.update({ reply_to: null }, { where: { reply_to: { [Op.in]: ids } }, transaction });
+    await db.ScheduledMessage.update({ sent_message_id: null }, { where: { sent_message_id: { [Op.in]: ids } }, transaction });
+
+    await db.Message.destroy({ where: { id: { [Op.in]: ids } }, transaction });
+  });
+
+  const mediaUrls = [...new Set(
+    expired.filter(msg => MEDIA_TYPES.includes(msg.message_type)).map(msg => msg.content)
+  )];
+
+  for (const url of mediaUrls) {
+    const stillUsed = await db.Message.count({ where: { content: url } });
+    if (stillUsed === 0) {
+      await s3Service.deleteFile(url);
+    }
   }
 
-  // Update message content to indicate deletion
-  await message.update({
-    content: 'This message was deleted',
-    message_type: 'text'
+  const byChat = new Map();
+  expired.forEach(msg => {
+    if (!byChat.has(msg.chat_id)) byChat.set(msg.chat_id, []);
+    byChat.get(msg.chat_id).push(msg.id);
   });
 
-  return message;
+  return [...byChat].map(([chat_id, message_ids]) => ({ chat_id, message_ids }));
 };
 
 /**
@@ -312,7 +1525,8 @@ const getUnreadCount = async (userId) => {
   const count = await db.MessageStatus.count({
     where: {
       user_id: userId,
-      status: { [Op.in]: ['sent', 'delivered'] }
+      status: { [Op.in]: ['sent', 'delivered'] },
+      message_id: { [Op.notIn]: hiddenMessageIds(userId) }
     }
   });
 
@@ -331,7 +1545,8 @@ const getChatUnreadCount = async (userId, chatId) => {
     }],
     where: {
       user_id: userId,
-      status: { [Op.in]: ['sent', 'delivered'] }
+      status: { [Op.in]: ['sent', 'delivered'] },
+      message_id: { [Op.notIn]: hiddenMessageIds(userId) }
     }
   });
 
@@ -340,6 +1555,8 @@ const getChatUnreadCount = async (userId, chatId) => {
 
 /**
  * Search messages in a chat
+ * Substring match on content, newest first, at most 50 results; searchAllMessages
+ * with chat_id is the ranked, paginated full-text alternative.
  */
 const searchMessages = async (userId, chatId, searchQuery) => {
   // Verify user is a member of the chat
@@ -354,6 +1571,8 @@ const searchMessages = async (userId, chatId, searchQuery) => {
   const messages = await db.Message.findAll({
     where: {
       chat_id: chatId,
+      is_deleted: false,
+      id: { [Op.notIn]: hiddenMessageIds(userId) },
       content: {
         [Op.like]: `%${searchQuery}%`
       }
@@ -372,6 +1591,147 @@ const searchMessages = async (userId, chatId, searchQuery) => {
   return messages;
 };
 
+/**
+ * Full-text search across every chat the user belongs to
+ * Backed by the generated messages.search_vector column, created on sync by the Message model
+ * (or by migrations/add_message_search.sql on existing databases).
+ * Results carry `rank` and a `highlight` snippet with matches wrapped in <mark></mark>
+ * (the snippet is not HTML-escaped).
+ * @param {Object} options
+ * @param {String} options.q - Search terms (web-search syntax: "phrase", or, -exclude)
+ * @param {Number} [options.chat_id] - Only this chat
+ * @param {Number} [options.sender_id] - Only messages from this user
+ * @param {String} [options.message_type] - Only this message type
+ * @param {String} [options.from] - Sent at or after this date
+ * @param {String} [options.to] - Sent at or before this date
+ * @param {String} [options.sort='relevance'] - 'relevance' or 'recent'
+ * @param {String} [options.cursor] - next_cursor from the previous page
+ * @returns {Promise<{messages: Array, next_cursor: String|null}>}
+ */
+const searchAllMessages = async (userId, {
+  q,
+  chat_id = null,
+  sender_id = null,
+  message_type = null,
+  from = null,
+  to = null,
+  sort = 'relevance',
+  cursor = null,
+  limit = 20
+}) => {
+  if (typeof q !== 'string' || q.trim().length === 0) {
+    throw new Error('Search query (q) is required');
+  }
+
+  if (!['relevance', 'recent'].includes(sort)) {
+    throw new Error('sort must be relevance or recent');
+  }
+
+  if (message_type && !Object.values(MESSAGE_TYPES).includes(message_type)) {
+    throw new Error('Invalid message_type');
+  }
+
+  const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), MAX_SEARCH_RESULTS);
+  const tsQuery = `websearch_to_tsquery('simple', ${db.sequelize.escape(q.trim())})`;
+  const rank = `ROUND(ts_rank("Message"."search_vector", ${tsQuery})::numeric, 6)`;
+  const searchableText = `CASE
+    WHEN "Message"."message_type" IN ('image', 'video', 'audio', 'file', 'contact') THEN coalesce("Message"."caption", '')
+    ELSE coalesce("Message"."content", '') || ' ' || coalesce("Message"."caption", '')
+  END`;
+
+  const conditions = [
+    db.sequelize.literal(`"Message"."search_vector" @@ ${tsQuery}`),
+    { is_deleted: false },
+    { id: { [Op.notIn]: hiddenMessageIds(userId) } },
+    {
+      chat_id: {
+        [Op.in]: db.sequelize.literal(`(SELECT chat_id FROM chat_members WHERE user_id = ${parseInt(userId)})`)
+      }
+    }
+  ];
+
+  if (chat_id) conditions.push({ chat_id: parseInt(chat_id) });
+  if (sender_id) conditions.push({ sender_id: parseInt(sender_id) });
+  if (message_type) conditions.push({ message_type });
+
+  for (const [bound, value, op] of [['from', from, Op.gte], ['to', to, Op.lte]]) {
+    if (!value) continue;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new Error(`Invalid ${bound} date`);
+    }
+    conditions.push({ sent_at: { [op]: date } });
+  }
+
+  // Keyset cursor: last (rank, id) for relevance, last id for recent
+  if (cursor) {
+    let position;
+    try {
+      position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new Error('Invalid cursor');
+    }
+
+    const lastId = parseInt(position?.id);
+    if (!lastId) {
+      throw new Error('Invalid cursor');
+    }
+
+    if (sort === 'relevance') {
+      const lastRank = Number(position.rank);
+      if (!Number.isFinite(lastRank)) {
+        throw new Error('Invalid cursor');
+      }
+      conditions.push(db.sequelize.literal(
+        `(${rank} < ${lastRank} OR (${rank} = ${lastRank} AND "Message"."id" < ${lastId}))`
+      ));
+    } else {
+      conditions.push({ id: { [Op.lt]: lastId } });
+    }
+  }
+
+  const messages = await db.Message.findAll({
+    where: { [Op.and]: conditions },
+    attributes: {
+      include: [
+        [db.sequelize.literal(rank), 'rank'],
+        [db.sequelize.literal(
+          `ts_headline('simple', ${searchableText}, ${tsQuery}, 'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MinWords=5, MaxWords=20')`
+        ), 'highlight']
+      ]
+    },
+    include: [
+      {
+        model: db.User,
+        as: 'User',
+        attributes: ['id', 'name', 'profile_pic']
+      },
+      {
+        model: db.Chat,
+        attributes: ['id', 'is_group', 'group_name', 'group_icon']
+      }
+    ],
+    order: sort === 'relevance'
+      ? [[db.sequelize.literal(rank), 'DESC'], ['id', 'DESC']]
+      : [['id', 'DESC']],
+    limit: pageSize + 1
+  });
+
+  const page = messages.slice(0, pageSize);
+  const last = page[page.length - 1];
+
+  const nextCursor = messages.length > pageSize
+    ? Buffer.from(JSON.stringify(
+      sort === 'relevance' ? { rank: last.get('rank'), id: last.id } : { id: last.id }
+    )).toString('base64url')
+    : null;
+
+  return {
+    messages: page.map(msg => ({ ...msg.toJSON(), rank: Number(msg.get('rank')) })),
+    next_cursor: nextCursor
+  };
+};
+
 /**
  * Get all undelivered messages for a user
  * Called when user comes online to deliver pending messages
@@ -395,7 +1755,7 @@ const getUndeliveredMessages = async (userId) => {
       {
         model: db.Message,
         as: 'ReplyTo',
-        attributes: ['id', 'content', 'sender_id'],
+        attributes: ['id', 'content', 'sender_id', 'is_deleted'],
         required: false,
         include: [{
           model: db.User,
@@ -415,17 +1775,61 @@ const getUndeliveredMessages = async (userId) => {
     limit: 100 // Limit to prevent overload
   });
 
+  const pollSummaries = await pollService.getPollSummaries(
+    userId,
+    messages.filter(msg => msg.message_type === MESSAGE_TYPES.POLL)
+  );
+  pollSummaries.forEach((poll, messageId) => {
+    messages.find(msg => msg.id === messageId).setDataValue('poll', poll);
+  });
+
+  const liveLocations = await locationService.getLiveLocationSummaries(
+    messages.filter(msg => msg.message_type === MESSAGE_TYPES.LIVE_LOCATION).map(msg => msg.id)
+  );
+  liveLocations.forEach((liveLocation, messageId) => {
+    messages.find(msg => msg.id === messageId).setDataValue('live_location', liveLocation);
+  });
+
+  const contactCards = await contactService.getContactCardSummaries(
+    messages.filter(msg => msg.message_type === MESSAGE_TYPES.CONTACT)
+  );
+  contactCards.forEach((cards, messageId) => {
+    messages.find(msg => msg.id === messageId).setDataValue('contacts', cards);
+  });
+
+  const mentionSummaries = await mentionService.getMentionSummaries(messages.map(msg => msg.id));
+  messages.forEach(msg => msg.setDataValue('mentions', mentionSummaries.get(msg.id) || []));
+
   return messages;
 };
 
 module.exports = {
   sendMessage,
+  sendMessageOnce,
+  forwardMessage,
   getMessages,
+  getThread,
+  getThreadSummary,
   updateMessageStatus,
+  markMessagePlayed,
   bulkUpdateMessageStatus,
-  deleteMessage,
+  getMessageReceipts,
+  deleteMessageForEveryone,
+  deleteMessageForMe,
+  editMessage,
+  getMessageEditHistory,
+  reactToMessage,
+  unreactMessage,
+  starMessage,
+  unstarMessage,
+  getStarredMessages,
+  getMentions,
+  getUnreadMentionCounts,
   getUnreadCount,
   getChatUnreadCount,
   searchMessages,
-  getUndeliveredMessages
+  searchAllMessages,
+  getUndeliveredMessages,
+  purgeExpiredMessages,
+  hiddenMessageIds
 };
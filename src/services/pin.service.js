@@ -0,0 +1,171 @@
+const { Op } = require('sequelize');
+const db = require('../models');
+const { MAX_PINNED_MESSAGES, PIN_DURATIONS } = require('../constants');
+
+/**
+ * Verify the user may pin/unpin in this chat
+ * Any member can pin, unless the group restricts pinning to admins.
+ */
+const assertCanPin = async (userId, chatId) => {
+  const membership = await db.ChatMember.findOne({
+    where: { chat_id: chatId, user_id: userId },
+    include: [{ model: db.Chat, attributes: ['id', 'is_group', 'pin_admins_only'] }]
+  });
+
+  if (!membership) {
+    throw new Error('User is not a member of this chat');
+  }
+
+  const chat = membership.Chat;
+  if (chat.is_group && chat.pin_admins_only && membership.role !== 'admin') {
+    throw new Error('Only group admins can pin messages in this chat');
+  }
+};
+
+/**
+ * Pin a message in its chat
+ * @param {String|null} duration - '24h', '7d', '30d' or null for no expiry
+ */
+const pinMessage = async (userId, messageId, duration = null) => {
+  if (duration !== null && duration !== undefined && !PIN_DURATIONS[duration]) {
+    throw new Error(`Invalid pin duration. Use one of: ${Object.keys(PIN_DURATIONS).join(', ')}`);
+  }
+
+  const message = await db.Message.findByPk(messageId);
+
+  if (!message) {
+    throw new Error('Message not found');
+  }
+
+  await assertCanPin(userId, message.chat_id);
+
+  if (message.is_deleted) {
+    throw new Error('Cannot pin a deleted message');
+  }
+
+  const now = new Date();
+  const expiresAt = duration ? new Date(now.getTime() + PIN_DURATIONS[duration]) : null;
+
+  const existing = await db.PinnedMessage.findOne({
+    where: { chat_id: message.chat_id, message_id: message.id }
+  });
+
+  if (existing) {
+    // Re-pinning refreshes who pinned it and the expiry
+    await existing.update({ pinned_by: userId, pinned_at: now, expires_at: expiresAt });
+    return existing;
+  }
+
+  const activeCount = await db.PinnedMessage.count({
+    where: {
+      chat_id: message.chat_id,
+      [Op.or]: [
+        { expires_at: null },
+        { expires_at: { [Op.gt]: now } }
+      ]
+    }
+  });
+
+  if (activeCount >= MAX_PINNED_MESSAGES) {
+    throw new Error(`A chat can have at most ${MAX_PINNED_MESSAGES} pinned messages`);
+  }
+
+  return db.PinnedMessage.create({
+    chat_id: message.chat_id,
+    message_id: message.id,
+    pinned_by: userId,
+    pinned_at: now,
+    expires_at: expiresAt
+  });
+};
+
+/**
+ * Unpin a message
+ * @returns {Promise<Object>} - The message that was unpinned
+ */
+const unpinMessage = async (userId, messageId) => {
+  const message = await db.Message.findByPk(messageId);
+
+  if (!message) {
+    throw new Error('Message not found');
+  }
+
+  await assertCanPin(userId, message.chat_id);
+
+  await db.PinnedMessage.destroy({
+    where: { chat_id: message.chat_id, message_id: message.id }
+  });
+
+  return message;
+};
+
+/**
+ * Get the active pins of a chat (most recently pinned first)
+ */
+const getChatPins = async (userId, chatId) => {
+  // Verify user is a member of the chat
+  const membership = await db.ChatMember.findOne({
+    where: { chat_id: chatId, user_id: userId }
+  });
+
+  if (!membership) {
+    throw new Error('User is not a member of this chat');
+  }
+
+  const pins = await db.PinnedMessage.findAll({
+    where: {
+      chat_id: chatId,
+      [Op.or]: [
+        { expires_at: null },
+        { expires_at: { [Op.gt]: new Date() } }
+      ]
+    },
+    include: [
+      {
+        model: db.Message,
+        attributes: ['id', 'chat_id', 'sender_id', 'message_type', 'content', 'caption', 'sent_at', 'edited_at'],
+        include: [{
+          model: db.User,
+          as: 'User',
+          attributes: ['id', 'name', 'profile_pic']
+        }]
+      },
+      {
+        model: db.User,
+        as: 'PinnedBy',
+        attributes: ['id', 'name']
+      }
+    ],
+    order: [['pinned_at', 'DESC']]
+  });
+
+  return pins;
+};
+
+/**
+ * Remove pins whose expiry has passed
+ * @returns {Promise<Array>} - Removed pins as { chat_id, message_id }
+ */
+const removeExpiredPins = async () => {
+  const expired = await db.PinnedMessage.findAll({
+    where: { expires_at: { [Op.lte]: new Date() } },
+    attributes: ['id', 'chat_id', 'message_id']
+  });
+
+  if (expired.length === 0) {
+    return [];
+  }
+
+  await db.PinnedMessage.destroy({
+    where: { id: { [Op.in]: expired.map(pin => pin.id) } }
+  });
+
+  return expired.map(pin => ({ chat_id: pin.chat_id, message_id: pin.message_id }));
+};
+
+module.exports = {
+  pinMessage,
+  unpinMessage,
+  getChatPins,
+  removeExpiredPins
+};
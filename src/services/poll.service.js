@@ -0,0 +1,171 @@
+const { Op } = require('sequelize');
+const db = require('../models');
+const { MESSAGE_TYPES, MIN_POLL_OPTIONS, MAX_POLL_OPTIONS } = require('../constants');
+
+/**
+ * Validate and normalise poll options from a client
+ * @returns {Array<String>} - Trimmed option texts
+ */
+const validatePollOptions = (options) => {
+  if (!Array.isArray(options)) {
+    throw new Error('Poll options must be an array');
+  }
+
+  const texts = options.map(option => (typeof option === 'string' ? option.trim() : ''));
+
+  if (texts.some(text => text.length === 0 || text.length > 100)) {
+    throw new Error('Each poll option must be between 1 and 100 characters');
+  }
+
+  if (texts.length < MIN_POLL_OPTIONS || texts.length > MAX_POLL_OPTIONS) {
+    throw new Error(`A poll needs between ${MIN_POLL_OPTIONS} and ${MAX_POLL_OPTIONS} options`);
+  }
+
+  if (new Set(texts.map(text => text.toLowerCase())).size !== texts.length) {
+    throw new Error('Poll options must be unique');
+  }
+
+  return texts;
+};
+
+/**
+ * Create the options of a new poll message
+ */
+const createPollOptions = async (messageId, optionTexts) => {
+  return db.PollOption.bulkCreate(optionTexts.map((text, index) => ({
+    message_id: messageId,
+    text,
+    position: index
+  })));
+};
+
+/**
+ * Build poll tallies for a set of poll messages
+ * Returns Map of message_id -> { allow_multiple, options: [{ id, text, position, vote_count }], total_voters, my_votes }
+ */
+const getPollSummaries = async (userId, pollMessages) => {
+  const summaries = new Map();
+
+  if (pollMessages.length === 0) {
+    return summaries;
+  }
+
+  const messageIds = pollMessages.map(msg => msg.id);
+
+  const [options, votes] = await Promise.all([
+    db.PollOption.findAll({
+      where: { message_id: { [Op.in]: messageIds } },
+      attributes: ['id', 'message_id', 'text', 'position'],
+      order: [['position', 'ASC']]
+    }),
+    db.PollVote.findAll({
+      where: { message_id: { [Op.in]: messageIds } },
+      attributes: ['option_id', 'user_id', 'message_id']
+    })
+  ]);
+
+  pollMessages.forEach(msg => {
+    summaries.set(msg.id, {
+      allow_multiple: !!msg.poll_allow_multiple,
+      options: [],
+      total_voters: 0,
+      my_votes: []
+    });
+  });
+
+  const optionsById = new Map();
+  options.forEach(option => {
+    const entry = { id: option.id, text: option.text, position: option.position, vote_count: 0 };
+    optionsById.set(option.id, entry);
+    summaries.get(option.message_id).options.push(entry);
+  });
+
+  const votersByMessage = new Map();
+  votes.forEach(vote => {
+    const option = optionsById.get(vote.option_id);
+    if (option) option.vote_count++;
+
+    if (!votersByMessage.has(vote.message_id)) votersByMessage.set(vote.message_id, new Set());
+    votersByMessage.get(vote.message_id).add(vote.user_id);
+
+    if (vote.user_id === userId) {
+      summaries.get(vote.message_id).my_votes.push(vote.option_id);
+    }
+  });
+
+  votersByMessage.forEach((voters, messageId) => {
+    summaries.get(messageId).total_voters = voters.size;
+  });
+
+  return summaries;
+};
+
+/**
+ * Cast (or replace) the user's vote on a poll
+ * An empty option_ids array retracts the vote.
+ * @returns {Promise<{message: Object, poll: Object}>}
+ */
+const votePoll = async (userId, messageId, optionIds) => {
+  if (!Array.isArray(optionIds)) {
+    throw new Error('option_ids must be an array');
+  }
+
+  const message = await db.Message.findByPk(messageId);
+
+  if (!message || message.message_type !== MESSAGE_TYPES.POLL) {
+    throw new Error('Poll not found');
+  }
+
+  // Verify user is a member of the chat
+  const membership = await db.ChatMember.findOne({
+    where: { chat_id: message.chat_id, user_id: userId }
+  });
+
+  if (!membership) {
+    throw new Error('User is not a member of this chat');
+  }
+
+  if (message.is_deleted) {
+    throw new Error('This poll was deleted');
+  }
+
+  const chosen = [...new Set(optionIds.map(id => parseInt(id)))];
+
+  if (!message.poll_allow_multiple && chosen.length > 1) {
+    throw new Error('This poll allows only one choice');
+  }
+
+  const validOptions = await db.PollOption.count({
+    where: { message_id: message.id, id: { [Op.in]: chosen } }
+  });
+
+  if (validOptions !== chosen.length) {
+    throw new Error('Invalid poll option');
+  }
+
+  await db.sequelize.transaction(async (transaction) => {
+    await db.PollVote.destroy({
+      where: { message_id: message.id, user_id: userId },
+      transaction
+    });
+
+    if (chosen.length > 0) {
+      await db.PollVote.bulkCreate(chosen.map(optionId => ({
+        option_id: optionId,
+        user_id: userId,
+        message_id: message.id,
+        voted_at: new Date()
+      })), { transaction });
+    }
+  });
+
+  const summaries = await getPollSummaries(userId, [message]);
+  return { message, poll: summaries.get(message.id) };
+};
+
+module.exports = {
+  validatePollOptions,
+  createPollOptions,
+  getPollSummaries,
+  votePoll
+};
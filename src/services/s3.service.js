@@ -1,4 +1,4 @@
-const { PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const { PutObjectCommand, DeleteObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
 const { s3Client } = require('../config/aws');
 const crypto = require('crypto');
 const path = require('path');
@@ -119,4 +119,51 @@ exports.deleteFile = async (fileUrl) => {
   }
 };
 
+/**
+ * Get the object key of a file stored in our bucket
+ * @param {String} fileUrl - Full S3 URL of the file
+ * @returns {String|null} - Object key, or null for URLs outside the bucket
+ */
+exports.getFileKey = (fileUrl) => {
+  const bucketName = process.env.AWS_S3_BUCKET_NAME;
+
+  if (!bucketName || !fileUrl) {
+    return null;
+  }
+
+  let url;
+  try {
+    url = new URL(fileUrl);
+  } catch (error) {
+    return null;
+  }
+
+  if (!url.hostname.startsWith(`${bucketName}.s3.`) || !url.hostname.endsWith('.amazonaws.com')) {
+    return null;
+  }
+
+  return decodeURIComponent(url.pathname.slice(1)) || null;
+};
+
+/**
+ * Open a file from the S3 bucket as a readable stream
+ * @param {String} fileUrl - Full S3 URL of the file
+ * @returns {Promise<Readable|null>} - File body, or null for URLs outside the bucket
+ */
+exports.getFileStream = async (fileUrl) => {
+  const key = exports.getFileKey(fileUrl);
+
+  if (!key) {
+    return null;
+  }
+
+  const command = new GetObjectCommand({
+    Bucket: process.env.AWS_S3_BUCKET_NAME,
+    Key: key
+  });
+  const { Body } = await s3Client.send(command);
+
+  return Body;
+};
+
 module.exports = exports;
@@ -0,0 +1,212 @@
+const { Op } = require('sequelize');
+const db = require('../models');
+const messageService = require('./message.service');
+const audioService = require('./audio.service');
+const { SCHEDULED_MESSAGE_STATUS, MAX_SCHEDULE_AHEAD_DAYS, MESSAGE_TYPES } = require('../constants');
+
+// A row still 'sending' this long after it was claimed belongs to a process that died mid-send
+const STALE_SENDING_MS = parseInt(process.env.SCHEDULED_MESSAGE_STALE_MS) || 10 * 60 * 1000;
+
+/**
+ * Schedule a message to be sent to a chat at a future time
+ */
+const scheduleMessage = async (userId, { chat_id, content, message_type = 'text', caption = null, reply_to = null, audio = null, scheduled_for }) => {
+  if (!chat_id || !content) {
+    throw new Error('chat_id and content are required');
+  }
+
+  const sendAt = new Date(scheduled_for);
+  if (!scheduled_for || isNaN(sendAt.getTime())) {
+    throw new Error('scheduled_for must be a valid date');
+  }
+
+  if (sendAt.getTime() <= Date.now()) {
+    throw new Error('scheduled_for must be in the future');
+  }
+
+  if (sendAt.getTime() > Date.now() + MAX_SCHEDULE_AHEAD_DAYS * 24 * 60 * 60 * 1000) {
+    throw new Error(`Messages can be scheduled at most ${MAX_SCHEDULE_AHEAD_DAYS} days ahead`);
+  }
+
+  if (caption !== null && caption !== undefined && typeof caption !== 'string') {
+    throw new Error('Caption must be a string');
+  }
+
+  // Only plain text and media can be scheduled
+  const schedulableTypes = [MESSAGE_TYPES.TEXT, MESSAGE_TYPES.IMAGE, MESSAGE_TYPES.VIDEO, MESSAGE_TYPES.AUDIO, MESSAGE_TYPES.FILE];
+  if (!schedulableTypes.includes(message_type)) {
+    throw new Error('Invalid message type');
+  }
+
+  // Validated now so the message cannot fail on it at send time
+  const audioInfo = message_type === MESSAGE_TYPES.AUDIO ? audioService.validateAudio(audio) : null;
+
+  // Verify user is a member of the chat
+  const membership = await db.ChatMember.findOne({
+    where: { chat_id, user_id: userId }
+  });
+
+  if (!membership) {
+    throw new Error('User is not a member of this chat');
+  }
+
+  return db.ScheduledMessage.create({
+    sender_id: userId,
+    chat_id,
+    content,
+    message_type,
+    caption: (caption || '').trim() || null,
+    reply_to,
+    audio_duration: audioInfo?.duration ?? null,
+    audio_waveform: audioInfo?.waveform ?? null,
+    scheduled_for: sendAt,
+    status: SCHEDULED_MESSAGE_STATUS.PENDING
+  });
+};
+
+/**
+ * List the user's scheduled messages that have not been sent yet
+ */
+const getScheduledMessages = async (userId, { chat_id = null } = {}) => {
+  const where = {
+    sender_id: userId,
+    status: { [Op.in]: [SCHEDULED_MESSAGE_STATUS.PENDING, SCHEDULED_MESSAGE_STATUS.FAILED] }
+  };
+
+  if (chat_id) {
+    where.chat_id = chat_id;
+  }
+
+  return db.ScheduledMessage.findAll({
+    where,
+    include: [{
+      model: db.Chat,
+      attributes: ['id', 'is_group', 'group_name', 'group_icon']
+    }],
+    order: [['scheduled_for', 'ASC']]
+  });
+};
+
+/**
+ * Cancel a pending scheduled message (owner only)
+ */
+const cancelScheduledMessage = async (userId, scheduledMessageId) => {
+  const [updated] = await db.ScheduledMessage.update(
+    { status: SCHEDULED_MESSAGE_STATUS.CANCELLED },
+    {
+      where: {
+        id: scheduledMessageId,
+        sender_id: userId,
+        status: SCHEDULED_MESSAGE_STATUS.PENDING
+      }
+    }
+  );
+
+  if (updated === 0) {
+    throw new Error('Scheduled message not found or already sent');
+  }
+
+  return db.ScheduledMessage.findByPk(scheduledMessageId);
+};
+
+/**
+ * Ids of pending scheduled messages that are due
+ */
+const getDueScheduledMessageIds = async (limit = 50) => {
+  const due = await db.ScheduledMessage.findAll({
+    where: {
+      status: SCHEDULED_MESSAGE_STATUS.PENDING,
+      scheduled_for: { [Op.lte]: new Date() }
+    },
+    attributes: ['id'],
+    order: [['scheduled_for', 'ASC']],
+    limit
+  });
+
+  return due.map(item => item.id);
+};
+
+/**
+ * Send one due scheduled message
+ * The row is claimed with a conditional pending -> sending update first,
+ * so concurrent runs (or a second server process) can never send it twice.
+ * @returns {Promise<{scheduled: Object, message: Object}|null>} - null if already claimed
+ */
+const dispatchScheduledMessage = async (scheduledMessageId) => {
+  const [claimed] = await db.ScheduledMessage.update(
+    { status: SCHEDULED_MESSAGE_STATUS.SENDING, claimed_at: new Date() },
+    {
+      where: {
+        id: scheduledMessageId,
+        status: SCHEDULED_MESSAGE_STATUS.PENDING
+      }
+    }
+  );
+
+  if (claimed === 0) {
+    return null;
+  }
+
+  const scheduled = await db.ScheduledMessage.findByPk(scheduledMessageId);
+
+  try {
+    const message = await messageService.sendMessage(scheduled.sender_id, {
+      chat_id: scheduled.chat_id,
+      content: scheduled.content,
+      message_type: scheduled.message_type,
+      caption: scheduled.caption,
+      reply_to: scheduled.reply_to,
+      audio: scheduled.message_type === MESSAGE_TYPES.AUDIO
+        ? { duration: scheduled.audio_duration, waveform: scheduled.audio_waveform }
+        : null
+    });
+
+    await scheduled.update({
+      status: SCHEDULED_MESSAGE_STATUS.SENT,
+      sent_message_id: message.id
+    });
+
+    return { scheduled, message };
+  } catch (error) {
+    await scheduled.update({
+      status: SCHEDULED_MESSAGE_STATUS.FAILED,
+      error: error.message
+    });
+    throw error;
+  }
+};
+
+/**
+ * Mark rows left in 'sending' by a crashed process as failed
+ * Only rows claimed more than STALE_SENDING_MS ago count - a fresh claim may be
+ * another live process sending right now. Rows claimed before claimed_at existed are stale.
+ * They may or may not have been sent, so they are never retried automatically.
+ */
+const failInterruptedScheduledMessages = async () => {
+  const [count] = await db.ScheduledMessage.update(
+    {
+      status: SCHEDULED_MESSAGE_STATUS.FAILED,
+      error: 'Interrupted while sending (server restart)'
+    },
+    {
+      where: {
+        status: SCHEDULED_MESSAGE_STATUS.SENDING,
+        [Op.or]: [
+          { claimed_at: null },
+          { claimed_at: { [Op.lt]: new Date(Date.now() - STALE_SENDING_MS) } }
+        ]
+      }
+    }
+  );
+
+  return count;
+};
+
+module.exports = {
+  scheduleMessage,
+  getScheduledMessages,
+  cancelScheduledMessage,
+  getDueScheduledMessageIds,
+  dispatchScheduledMessage,
+  failInterruptedScheduledMessages
+};
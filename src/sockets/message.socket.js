@@ -1,6 +1,176 @@
 const messageService = require('../services/message.service');
+const pinService = require('../services/pin.service');
+const scheduledMessageService = require('../services/scheduledMessage.service');
+const pollService = require('../services/poll.service');
+const locationService = require('../services/location.service');
+const linkPreviewService = require('../services/linkPreview.service');
+const draftService = require('../services/draft.service');
 const logger = require('../utils/logger');
-const { verify } = require('../utils/token');
+const { DELETE_FOR, MESSAGE_TYPES } = require('../constants');
+
+/**
+ * Clear the sender's drafts in chats they just sent to, on all of their devices
+ * Used for forwards, broadcasts and scheduled messages; sendMessageOnce clears its own.
+ * @param {Object} io - Socket.io server instance
+ * @param {Number} userId - Sender
+ * @param {Array<Number>} chatIds - Chats the messages went to
+ */
+async function clearSentDrafts(io, userId, chatIds) {
+  const cleared = await draftService.clearDrafts(userId, chatIds);
+  cleared.forEach(chatId => {
+    io.to(`user:${userId}`).emit('draft_updated', { chat_id: chatId, draft: null });
+  });
+}
+
+/**
+ * Deliver a newly created message to all chat members except the sender
+ * Online members get it in their personal room and it is marked delivered,
+ * offline members keep it in 'sent' until they reconnect.
+ * @param {Object} io - Socket.io server instance
+ * @param {Object} message - Message returned by messageService.sendMessage
+ * @param {Object} [socket] - Sender's socket, excluded from the chat room broadcast
+ * @returns {Promise<{delivered: number, queued: number, total: number}>}
+ */
+async function deliverNewMessage(io, message, socket = null) {
+  // ========================================
+  // WhatsApp-like delivery - Send to all chat members via their personal rooms
+  // This works even if they haven't opened/joined the chat
+  // ========================================
+  const db = require('../models');
+  const { Op } = require('sequelize');
+
+  const senderId = message.sender_id;
+  const chatId = message.chat_id;
+
+  // Get all chat members except sender
+  const chatMembers = await db.ChatMember.findAll({
+    where: {
+      chat_id: chatId,
+      user_id: { [Op.ne]: senderId }
+    },
+    attributes: ['user_id']
+  });
+
+  // Deliver message to each recipient
+  let deliveredCount = 0;
+  let queuedCount = 0;
+
+  for (const member of chatMembers) {
+    const recipientUserId = member.user_id;
+
+    // Check if user is online using the helper function from presence
+    if (io.isUserOnline && io.isUserOnline(recipientUserId)) {
+      // User is ONLINE - deliver immediately to their personal room
+      io.to(`user:${recipientUserId}`).emit('new_message', message);
+
+      // Update message status to 'delivered'
+      await messageService.updateMessageStatus(
+        recipientUserId,
+        message.id,
+        'delivered'
+      );
+
+      // Notify sender that message was delivered
+      io.to(`user:${senderId}`).emit('message_status_updated', {
+        message_id: message.id,
+        status: 'delivered',
+        user_id: recipientUserId,
+        delivered_at: new Date()
+      });
+
+      deliveredCount++;
+      logger.info(`Message ${message.id} delivered to online user ${recipientUserId}`);
+    } else {
+      // User is OFFLINE - message stays in 'sent' status
+      // Will be delivered when user comes online (via pending message delivery)
+      queuedCount++;
+      logger.info(`User ${recipientUserId} offline. Message ${message.id} queued for later delivery.`);
+    }
+  }
+
+  // Also broadcast to chat room for backward compatibility
+  // (in case some users still use join_chat)
+  (socket || io).to(`chat:${chatId}`).emit('new_message', message);
+
+  // Mentioned users get their own event so clients can notify them
+  // even when they have muted the chat
+  const { mentions = [] } = typeof message.toJSON === 'function' ? message.toJSON() : message;
+  mentions.forEach(mentionedUserId => {
+    io.to(`user:${mentionedUserId}`).emit('mentioned', {
+      message_id: message.id,
+      chat_id: chatId,
+      sender_id: senderId,
+      message
+    });
+  });
+
+  // Replies update the thread they belong to
+  if (message.reply_to) {
+    try {
+      // reply_count leaves out replies each member hid, so it is sent per member
+      const thread = await messageService.getThreadSummary(message);
+      thread.reply_counts.forEach((replyCount, memberId) => {
+        io.to(`user:${memberId}`).emit('thread_updated', {
+          chat_id: chatId,
+          root_id: thread.root_id,
+          message_id: message.id,
+          reply_count: replyCount
+        });
+      });
+    } catch (error) {
+      logger.error('Error updating thread:', error.message);
+    }
+  }
+
+  queueLinkPreview(io, message);
+
+  return {
+    delivered: deliveredCount,
+    queued: queuedCount,
+    total: chatMembers.length
+  };
+}
+
+/**
+ * Fetch the preview for the first link in a text message in the background
+ * and push it to chat members once it is stored
+ */
+function queueLinkPreview(io, message) {
+  if (message.message_type !== MESSAGE_TYPES.TEXT || !linkPreviewService.extractFirstUrl(message.content)) {
+    return;
+  }
+
+  linkPreviewService.generateMessagePreview(message.id)
+    .then(updated => {
+      if (!updated) return;
+
+      return emitToChatMembers(io, updated.chat_id, 'message_preview_ready', {
+        message_id: updated.id,
+        chat_id: updated.chat_id,
+        link_preview: updated.link_preview
+      });
+    })
+    .catch(error => logger.error('Error generating link preview:', error.message));
+}
+
+/**
+ * Emit an event to the personal room of every member of a chat
+ * (sender included, so their other devices stay in sync)
+ */
+async function emitToChatMembers(io, chatId, event, payload) {
+  const db = require('../models');
+
+  const chatMembers = await db.ChatMember.findAll({
+    where: { chat_id: chatId },
+    attributes: ['user_id']
+  });
+
+  chatMembers.forEach(member => {
+    io.to(`user:${member.user_id}`).emit(event, payload);
+  });
+
+  return chatMembers.length;
+}
 
 /**
  * Register message-related socket event handlers
@@ -8,24 +178,6 @@ const { verify } = require('../utils/token');
  * @param {Object} io - Socket.io server instance
  */
 function registerMessageHandlers(socket, io) {
-  // Authenticate socket connection
-    // socket.on('authenticate', async (token) => {
-    //   try {
-    //     const decoded = verify(token);
-    //     socket.userId = decoded.id;
-    //     socket.join(`user:${decoded.id}`); // Join user's personal room
-    //     socket.emit('authenticated', { success: true, userId: decoded.id });
-        
-    //     // Emit event for presence tracking
-    //     socket.emit('user_authenticated', decoded.id);
-        
-    //     logger.info('Socket authenticated:', { socketId: socket.id, userId: decoded.id });
-    //   } catch (error) {
-    //     socket.emit('authentication_error', { message: 'Invalid token' });
-    //     logger.error('Socket authentication failed:', error.message);
-    //   }
-    // });
-
     // Join a chat room creating the separate room for each chat
     socket.on('join_chat', (chatId) => {
       if (!socket.userId) {
@@ -50,12 +202,25 @@ function registerMessageHandlers(socket, io) {
           return socket.emit('error', { message: 'Not authenticated' });
         }
 
-        const { chat_id, content, message_type, reply_to, caption } = data;
+        const {
+          chat_id, content, message_type, reply_to, caption, poll, location, live_duration, contacts, vcard_version, audio, mentions,
+          client_message_id
+        } = data;
 
-        if (!chat_id || !content) {
+        // Location and contact messages build their content from structured fields
+        const isStructured = [
+          MESSAGE_TYPES.LOCATION, MESSAGE_TYPES.LIVE_LOCATION, MESSAGE_TYPES.CONTACT
+        ].includes(message_type);
+
+        if (!chat_id || (!content && !isStructured)) {
           return socket.emit('message_error', { message: 'chat_id and content are required' });
         }
 
+        // System notices are only created by the server
+        if (message_type === MESSAGE_TYPES.SYSTEM) {
+          return socket.emit('message_error', { tempId: data.tempId, message: 'Invalid message type' });
+        }
+
         // Validate caption - must be string or null/undefined
         let validCaption = null;
         if (caption !== undefined && caption !== null) {
@@ -70,93 +235,57 @@ function registerMessageHandlers(socket, io) {
           }
         }
 
-        // Save message to database
-        const message = await messageService.sendMessage(socket.userId, {
+        // Save message to database (a retried client_message_id returns the stored message)
+        const { message, duplicate, draft_cleared } = await messageService.sendMessageOnce(socket.userId, {
           chat_id,
           content,
           message_type: message_type || 'text',
           reply_to,
-          caption: validCaption
+          caption: validCaption,
+          poll,
+          location,
+          live_duration,
+          contacts,
+          vcard_version,
+          audio,
+          mentions,
+          client_message_id
         });
 
         // Send confirmation to sender
         socket.emit('message_sent', {
           tempId: data.tempId, // Client-side temporary ID for message tracking
-          message
+          message,
+          duplicate
         });
 
-        // ========================================
-        // NEW: WhatsApp-like delivery - Send to all chat members via their personal rooms
-        // This works even if they haven't opened/joined the chat
-        // ========================================
-        const db = require('../models');
-        const { Op } = require('sequelize');
-        
-        // Get all chat members except sender
-        const chatMembers = await db.ChatMember.findAll({
-          where: {
-            chat_id,
-            user_id: { [Op.ne]: socket.userId }
-          },
-          attributes: ['user_id']
-        });
+        // The composer is empty again on every device
+        if (draft_cleared) {
+          io.to(`user:${socket.userId}`).emit('draft_updated', { chat_id: message.chat_id, draft: null });
+        }
 
-        // Deliver message to each recipient
-        let deliveredCount = 0;
-        let queuedCount = 0;
-
-        for (const member of chatMembers) {
-          const recipientUserId = member.user_id;
-          
-          // Check if user is online using the helper function from presence
-          if (io.isUserOnline && io.isUserOnline(recipientUserId)) {
-            // User is ONLINE - deliver immediately to their personal room
-            io.to(`user:${recipientUserId}`).emit('new_message', message);
-            
-            // Update message status to 'delivered'
-            await messageService.updateMessageStatus(
-              recipientUserId,
-              message.id,
-              'delivered'
-            );
-            
-            // Notify sender that message was delivered
-            io.to(`user:${socket.userId}`).emit('message_status_updated', {
-              message_id: message.id,
-              status: 'delivered',
-              user_id: recipientUserId,
-              delivered_at: new Date()
-            });
-            
-            deliveredCount++;
-            logger.info(`Message ${message.id} delivered to online user ${recipientUserId}`);
-          } else {
-            // User is OFFLINE - message stays in 'sent' status
-            // Will be delivered when user comes online (via pending message delivery)
-            queuedCount++;
-            logger.info(`User ${recipientUserId} offline. Message ${message.id} queued for later delivery.`);
-          }
+        // Already delivered on the first attempt
+        if (duplicate) {
+          logger.info(`Duplicate send of message ${message.id} (client_message_id ${client_message_id}) ignored`);
+          return;
         }
 
-        // Also broadcast to chat room for backward compatibility
-        // (in case some users still use join_chat)
-        socket.to(`chat:${chat_id}`).emit('new_message', message);
+        // WhatsApp-like delivery to every recipient's personal room
+        const delivery = await deliverNewMessage(io, message, socket);
 
         // Notify sender about delivery status
         socket.emit('message_delivery_info', {
           message_id: message.id,
-          delivered: deliveredCount,
-          queued: queuedCount,
-          total: chatMembers.length
+          ...delivery
         });
 
         logger.info('Message sent:', {
           messageId: message.id,
           chatId: chat_id,
           senderId: socket.userId,
-          deliveredToOnline: deliveredCount,
-          queuedForOffline: queuedCount,
-          totalRecipients: chatMembers.length
+          deliveredToOnline: delivery.delivered,
+          queuedForOffline: delivery.queued,
+          totalRecipients: delivery.total
         });
       } catch (error) {
         logger.error('Error sending message:', error.message);
@@ -167,6 +296,107 @@ function registerMessageHandlers(socket, io) {
       }
     });
 
+    // Forward a message to one or more chats
+    socket.on('forward_message', async (data) => {
+      try {
+        if (!socket.userId) return;
+
+        const { message_id, chat_ids } = data;
+
+        if (!message_id || !Array.isArray(chat_ids) || chat_ids.length === 0) {
+          return socket.emit('forward_error', { message_id, message: 'message_id and chat_ids are required' });
+        }
+
+        const messages = await messageService.forwardMessage(socket.userId, message_id, chat_ids);
+
+        // Confirm to sender before fan-out, like message_sent
+        socket.emit('message_forwarded', {
+          message_id,
+          messages
+        });
+
+        await clearSentDrafts(io, socket.userId, messages.map(m => m.chat_id));
+
+        for (const message of messages) {
+          const delivery = await deliverNewMessage(io, message, socket);
+          socket.emit('message_delivery_info', {
+            message_id: message.id,
+            ...delivery
+          });
+        }
+
+        logger.info(`Message ${message_id} forwarded by user ${socket.userId} to chats ${messages.map(m => m.chat_id).join(', ')}`);
+      } catch (error) {
+        logger.error('Error forwarding message:', error.message);
+        socket.emit('forward_error', { message_id: data?.message_id, message: error.message });
+      }
+    });
+
+    // Schedule a message for later - the scheduler job sends it when due
+    socket.on('schedule_message', async (data) => {
+      try {
+        if (!socket.userId) {
+          return socket.emit('error', { message: 'Not authenticated' });
+        }
+
+        const { chat_id, content, message_type, reply_to, caption, audio, scheduled_for } = data;
+
+        const scheduledMessage = await scheduledMessageService.scheduleMessage(socket.userId, {
+          chat_id,
+          content,
+          message_type: message_type || 'text',
+          reply_to,
+          caption,
+          audio,
+          scheduled_for
+        });
+
+        // Ack to all of the sender's devices
+        io.to(`user:${socket.userId}`).emit('message_scheduled', {
+          tempId: data.tempId,
+          scheduled_message: scheduledMessage
+        });
+
+        // The composer text is now the scheduled message
+        await clearSentDrafts(io, socket.userId, [scheduledMessage.chat_id]);
+
+        logger.info(`Message scheduled by user ${socket.userId} for chat ${chat_id} at ${scheduledMessage.scheduled_for.toISOString()}`);
+      } catch (error) {
+        logger.error('Error scheduling message:', error.message);
+        socket.emit('schedule_error', {
+          tempId: data?.tempId,
+          message: error.message
+        });
+      }
+    });
+
+    // Save the composer draft - updates are coalesced and written once typing pauses
+    socket.on('draft_update', async (data) => {
+      try {
+        if (!socket.userId) return;
+
+        const { chat_id, content, reply_to } = data || {};
+
+        if (!chat_id) {
+          return socket.emit('draft_error', { message: 'chat_id is required' });
+        }
+
+        const { superseded, draft } = await draftService.queueDraft(socket.userId, chat_id, { content, reply_to });
+
+        // A later update (or a send) replaced this one before it was written
+        if (superseded) return;
+
+        // Sync to the user's other devices; the typing device already has it
+        socket.to(`user:${socket.userId}`).emit('draft_updated', {
+          chat_id: parseInt(chat_id),
+          draft
+        });
+      } catch (error) {
+        logger.error('Error saving draft:', error.message);
+        socket.emit('draft_error', { chat_id: data?.chat_id, message: error.message });
+      }
+    });
+
     // Typing indicator - Deliver to personal rooms of chat members
     socket.on('typing', async (data) => {
       if (!socket.userId) return;
@@ -231,6 +461,36 @@ function registerMessageHandlers(socket, io) {
       }
     });
 
+    // Voice note / audio message played - also marks it read
+    socket.on('message_played', async (data) => {
+      try {
+        if (!socket.userId) return;
+
+        const { message, played_at, first_play } = await messageService.markMessagePlayed(socket.userId, data?.message_id);
+
+        // Replays change nothing
+        if (!first_play) return;
+
+        // Notify the sender
+        io.to(`user:${message.sender_id}`).emit('message_status_updated', {
+          message_id: message.id,
+          status: 'played',
+          user_id: socket.userId,
+          played_at
+        });
+
+        // Keep the listener's other devices in step
+        io.to(`user:${socket.userId}`).emit('message_played', {
+          message_id: message.id,
+          chat_id: message.chat_id,
+          played_at
+        });
+      } catch (error) {
+        logger.error('Error updating played status:', error.message);
+        socket.emit('played_error', { message_id: data?.message_id, message: error.message });
+      }
+    });
+
     // Message read
     socket.on('message_read', async (data) => {
       try {
@@ -298,6 +558,10 @@ function registerMessageHandlers(socket, io) {
 
         logger.info(`Bulk mark read result: Updated ${result.updated}, Created ${result.created}`);
 
+        // Ids from other chats, or the user's own messages, were skipped
+        const readIds = result.message_ids;
+        if (readIds.length === 0) return;
+
         // Check current unread count after update
         const unreadCount = await messageService.getChatUnreadCount(socket.userId, chat_id);
         logger.info(`📊 Unread count after bulk mark read: ${unreadCount} for user ${socket.userId} in chat ${chat_id}`);
@@ -305,7 +569,7 @@ function registerMessageHandlers(socket, io) {
         // Get unique sender IDs for these messages
         const db = require('../models');
         const messages = await db.Message.findAll({
-          where: { id: message_ids },
+          where: { id: readIds },
           attributes: ['id', 'sender_id']
         });
 
@@ -314,7 +578,7 @@ function registerMessageHandlers(socket, io) {
         // Notify all senders
         senderIds.forEach(senderId => {
           io.to(`user:${senderId}`).emit('messages_read_bulk', {
-            message_ids,
+            message_ids: readIds,
             user_id: socket.userId,
             chat_id
           });
@@ -324,38 +588,246 @@ function registerMessageHandlers(socket, io) {
         // This helps update their own chat list
         io.to(`user:${socket.userId}`).emit('messages_read', {
           chat_id,
-          message_ids,
+          message_ids: readIds,
           user_id: socket.userId
         });
 
-        logger.info(`User ${socket.userId} marked ${message_ids.length} messages as read in chat ${chat_id}`);
+        logger.info(`User ${socket.userId} marked ${readIds.length} messages as read in chat ${chat_id}`);
       } catch (error) {
         logger.error('Error bulk marking read:', error.message);
       }
     });
 
-    // Delete message
+    // Delete message - delete_for: 'everyone' (default, sender only) or 'me'
     socket.on('delete_message', async (data) => {
       try {
         if (!socket.userId) return;
 
-        const { message_id, chat_id } = data;
+        const { message_id, delete_for = DELETE_FOR.EVERYONE } = data;
 
-        const message = await messageService.deleteMessage(socket.userId, message_id);
+        if (delete_for === DELETE_FOR.ME) {
+          const message = await messageService.deleteMessageForMe(socket.userId, message_id);
 
-        // Notify all users in the chat
-        io.to(`chat:${chat_id}`).emit('message_deleted', {
-          message_id,
+          // Only the user's own devices need to hide it
+          io.to(`user:${socket.userId}`).emit('message_deleted', {
+            message_id: message.id,
+            chat_id: message.chat_id,
+            delete_for: DELETE_FOR.ME
+          });
+          return;
+        }
+
+        const message = await messageService.deleteMessageForEveryone(socket.userId, message_id);
+
+        // Notify every member via their personal room
+        await emitToChatMembers(io, message.chat_id, 'message_deleted', {
+          message_id: message.id,
+          chat_id: message.chat_id,
+          delete_for: DELETE_FOR.EVERYONE,
           message
         });
+
+        logger.info(`Message ${message.id} deleted for everyone by user ${socket.userId}`);
       } catch (error) {
         logger.error('Error deleting message:', error.message);
         socket.emit('delete_error', { message: error.message });
       }
     });
 
+    // Edit message - sender only, within the edit window
+    socket.on('edit_message', async (data) => {
+      try {
+        if (!socket.userId) return;
+
+        const { message_id, content, caption } = data;
+
+        const message = await messageService.editMessage(socket.userId, message_id, { content, caption });
+
+        // Deliver to every member's personal room
+        await emitToChatMembers(io, message.chat_id, 'message_edited', {
+          message_id: message.id,
+          chat_id: message.chat_id,
+          content: message.content,
+          caption: message.caption,
+          edited_at: message.edited_at,
+          is_edited: !!message.edited_at,
+          link_preview: message.link_preview
+        });
+
+        // The link may have changed - build a fresh preview
+        queueLinkPreview(io, message);
+
+        logger.info(`Message ${message.id} edited by user ${socket.userId}`);
+      } catch (error) {
+        logger.error('Error editing message:', error.message);
+        socket.emit('edit_error', { message_id: data?.message_id, message: error.message });
+      }
+    });
+
+    // React to a message - replaces any previous reaction by this user
+    socket.on('react_message', async (data) => {
+      try {
+        if (!socket.userId) return;
+
+        const { message_id, emoji } = data;
+
+        const { message, reactions } = await messageService.reactToMessage(socket.userId, message_id, emoji);
+
+        await emitToChatMembers(io, message.chat_id, 'message_reaction', {
+          message_id: message.id,
+          chat_id: message.chat_id,
+          user_id: socket.userId,
+          emoji,
+          reactions
+        });
+      } catch (error) {
+        logger.error('Error reacting to message:', error.message);
+        socket.emit('reaction_error', { message_id: data?.message_id, message: error.message });
+      }
+    });
+
+    // Remove own reaction from a message
+    socket.on('unreact_message', async (data) => {
+      try {
+        if (!socket.userId) return;
+
+        const { message_id } = data;
+
+        const { message, reactions } = await messageService.unreactMessage(socket.userId, message_id);
+
+        await emitToChatMembers(io, message.chat_id, 'message_reaction', {
+          message_id: message.id,
+          chat_id: message.chat_id,
+          user_id: socket.userId,
+          emoji: null,
+          reactions
+        });
+      } catch (error) {
+        logger.error('Error removing reaction:', error.message);
+        socket.emit('reaction_error', { message_id: data?.message_id, message: error.message });
+      }
+    });
+
+    // Pin a message - duration: '24h' | '7d' | '30d' | null (until unpinned)
+    socket.on('pin_message', async (data) => {
+      try {
+        if (!socket.userId) return;
+
+        const { message_id, duration = null } = data;
+
+        const pin = await pinService.pinMessage(socket.userId, message_id, duration);
+
+        await emitToChatMembers(io, pin.chat_id, 'message_pinned', {
+          chat_id: pin.chat_id,
+          message_id: pin.message_id,
+          pinned_by: pin.pinned_by,
+          pinned_at: pin.pinned_at,
+          expires_at: pin.expires_at
+        });
+      } catch (error) {
+        logger.error('Error pinning message:', error.message);
+        socket.emit('pin_error', { message_id: data?.message_id, message: error.message });
+      }
+    });
+
+    // Unpin a message
+    socket.on('unpin_message', async (data) => {
+      try {
+        if (!socket.userId) return;
+
+        const { message_id } = data;
+
+        const message = await pinService.unpinMessage(socket.userId, message_id);
+
+        await emitToChatMembers(io, message.chat_id, 'message_unpinned', {
+          chat_id: message.chat_id,
+          message_id: message.id,
+          unpinned_by: socket.userId
+        });
+      } catch (error) {
+        logger.error('Error unpinning message:', error.message);
+        socket.emit('pin_error', { message_id: data?.message_id, message: error.message });
+      }
+    });
+
+    // Vote on a poll - option_ids replaces the user's previous choices ([] retracts)
+    socket.on('vote_poll', async (data) => {
+      try {
+        if (!socket.userId) return;
+
+        const { message_id, option_ids } = data;
+
+        const { message, poll } = await pollService.votePoll(socket.userId, message_id, option_ids);
+
+        // Tallies are shared; my_votes belongs to the voter only
+        const { my_votes, ...tally } = poll;
+
+        await emitToChatMembers(io, message.chat_id, 'poll_updated', {
+          message_id: message.id,
+          chat_id: message.chat_id,
+          user_id: socket.userId,
+          option_ids: my_votes,
+          poll: tally
+        });
+      } catch (error) {
+        logger.error('Error voting on poll:', error.message);
+        socket.emit('poll_error', { message_id: data?.message_id, message: error.message });
+      }
+    });
+
+    // Stream the sender's position during a live-location share
+    socket.on('live_location_update', async (data) => {
+      try {
+        if (!socket.userId) return;
+
+        const { message_id, latitude, longitude, accuracy } = data;
+
+        const share = await locationService.updateLiveLocation(socket.userId, message_id, {
+          latitude,
+          longitude,
+          accuracy
+        });
+
+        await emitToChatMembers(io, share.chat_id, 'live_location_updated', {
+          message_id: share.message_id,
+          chat_id: share.chat_id,
+          user_id: socket.userId,
+          latitude: share.latitude,
+          longitude: share.longitude,
+          accuracy: share.accuracy,
+          updated_at: share.updated_at,
+          expires_at: share.expires_at
+        });
+      } catch (error) {
+        logger.error('Error updating live location:', error.message);
+        socket.emit('live_location_error', { message_id: data?.message_id, message: error.message });
+      }
+    });
+
+    // Stop a live-location share early
+    socket.on('stop_live_location', async (data) => {
+      try {
+        if (!socket.userId) return;
+
+        const { message_id } = data;
+
+        const share = await locationService.stopLiveLocation(socket.userId, message_id);
+
+        await emitToChatMembers(io, share.chat_id, 'live_location_stopped', {
+          message_id: share.message_id,
+          chat_id: share.chat_id,
+          user_id: socket.userId,
+          reason: 'stopped',
+          ended_at: share.ended_at
+        });
+      } catch (error) {
+        logger.error('Error stopping live location:', error.message);
+        socket.emit('live_location_error', { message_id: data?.message_id, message: error.message });
+      }
+    });
+
     // Note: Disconnect is handled by presence.socket.js
     // No need for duplicate disconnect handler here
 }
 
-module.exports = { registerMessageHandlers };
+module.exports = { registerMessageHandlers, deliverNewMessage, emitToChatMembers, clearSentDrafts };
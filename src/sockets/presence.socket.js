@@ -6,7 +6,7 @@ const userConnections = new Map();
 
 /**
  * Handle user authentication and mark them online
- * Exported so it can be called directly when auto-authenticating
+ * Called on connection with the user id from the verified handshake token
  */
 const handleUserAuthenticated = async (socket, io, userId) => {
   console.log("User authenticated for presence:", userId);
@@ -47,17 +47,10 @@ const handleUserAuthenticated = async (socket, io, userId) => {
         // Deliver each message
         for (const message of undeliveredMessages) {
           // Emit message to the user
+          // Same fields as a live new_message (caption, poll, forward info, ...)
+          const { MessageStatuses, ...messageJson } = message.toJSON();
           socket.emit('new_message', {
-            id: message.id,
-            chat_id: message.chat_id,
-            sender_id: message.sender_id,
-            content: message.content,
-            message_type: message.message_type,
-            sent_at: message.sent_at,
-            reply_to: message.reply_to,
-            User: message.User,
-            ReplyTo: message.ReplyTo,
-            Chat: message.Chat,
+            ...messageJson,
             isPending: true // Flag to indicate this was a queued message
           });
           
@@ -106,9 +99,13 @@ const handleUserAuthenticated = async (socket, io, userId) => {
  * Register presence event handlers on a socket
  */
 const registerPresenceHandlers = (socket, io) => {
-  // When user is authenticated, mark them as online
-  socket.on('user_authenticated', async (userId) => {
-    await handleUserAuthenticated(socket, io, userId);
+  // Legacy clients still emit this after connecting. Identity is already bound
+  // from the handshake JWT, so the payload is ignored and we only acknowledge.
+  socket.on('user_authenticated', (userId) => {
+    if (userId !== undefined && parseInt(userId) !== socket.userId) {
+      logger.warn(`Ignoring user_authenticated for ${userId} on socket of user ${socket.userId}`);
+    }
+    socket.emit('authenticated', { success: true, userId: socket.userId });
   });
 
   // Get presence info for multiple users (e.g., for chat list, contact list)
@@ -0,0 +1,124 @@
+/**
+ * Minimal vCard 3.0 / 4.0 support for contact card messages
+ */
+
+const SUPPORTED_VERSIONS = ['3.0', '4.0'];
+
+const escapeValue = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/\r?\n/g, '\\n')
+  .replace(/,/g, '\\,')
+  .replace(/;/g, '\\;');
+
+const unescapeValue = (value) => value.replace(/\\([\\,;nN])/g, (match, ch) => (
+  ch === 'n' || ch === 'N' ? '\n' : ch
+));
+
+// Split on separators that are not backslash-escaped
+const splitUnescaped = (value, separator) => {
+  const parts = [];
+  let current = '';
+
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] === '\\' && i + 1 < value.length) {
+      current += value[i] + value[i + 1];
+      i++;
+    } else if (value[i] === separator) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += value[i];
+    }
+  }
+
+  parts.push(current);
+  return parts;
+};
+
+/**
+ * Build a vCard for one contact
+ * @param {Object} contact - { name, phone_number, email, department, job_title }
+ * @param {String} version - '3.0' or '4.0'
+ */
+function buildVCard({ name, phone_number, email, department, job_title }, version = '3.0') {
+  if (!SUPPORTED_VERSIONS.includes(version)) {
+    throw new Error(`vCard version must be one of: ${SUPPORTED_VERSIONS.join(', ')}`);
+  }
+
+  // Structured name: family;given - the last word is taken as the family name
+  const words = String(name || '').trim().split(/\s+/).filter(Boolean);
+  const family = words.length > 1 ? words.pop() : '';
+  const given = words.join(' ');
+
+  const lines = [
+    'BEGIN:VCARD',
+    `VERSION:${version}`,
+    `FN:${escapeValue(name || phone_number)}`,
+    `N:${escapeValue(family)};${escapeValue(given)};;;`
+  ];
+
+  if (version === '4.0') {
+    lines.push(`TEL;TYPE=cell;VALUE=uri:tel:${phone_number}`);
+    if (email) lines.push(`EMAIL;TYPE=work:${escapeValue(email)}`);
+  } else {
+    lines.push(`TEL;TYPE=CELL:${phone_number}`);
+    if (email) lines.push(`EMAIL;TYPE=INTERNET:${escapeValue(email)}`);
+  }
+
+  if (department) lines.push(`ORG:;${escapeValue(department)}`);
+  if (job_title) lines.push(`TITLE:${escapeValue(job_title)}`);
+
+  lines.push('END:VCARD');
+
+  return lines.join('\r\n');
+}
+
+/**
+ * Parse every vCard in a payload
+ * @returns {Array<{name, phone_number, email, department, job_title}>}
+ */
+function parseVCards(text) {
+  // Unfold continuation lines
+  const lines = String(text || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const cards = [];
+  let card = null;
+
+  for (const line of lines) {
+    const colon = line.indexOf(':');
+    if (colon === -1) continue;
+
+    const [property] = line.slice(0, colon).split(';');
+    const key = property.replace(/^item\d+\./i, '').toUpperCase();
+    const value = line.slice(colon + 1);
+
+    if (key === 'BEGIN' && value.toUpperCase() === 'VCARD') {
+      card = { name: null, phone_number: null, email: null, department: null, job_title: null };
+      continue;
+    }
+
+    if (!card) continue;
+
+    if (key === 'END') {
+      if (card.phone_number) cards.push(card);
+      card = null;
+    } else if (key === 'FN') {
+      card.name = unescapeValue(value).trim() || null;
+    } else if (key === 'TEL' && !card.phone_number) {
+      card.phone_number = value.replace(/^tel:/i, '').trim() || null;
+    } else if (key === 'EMAIL' && !card.email) {
+      card.email = unescapeValue(value).trim() || null;
+    } else if (key === 'ORG') {
+      const [org, unit] = splitUnescaped(value, ';').map(unescapeValue);
+      card.department = (unit || org || '').trim() || null;
+    } else if (key === 'TITLE') {
+      card.job_title = unescapeValue(value).trim() || null;
+    } else if (key === 'N' && !card.name) {
+      const [family, given] = splitUnescaped(value, ';').map(unescapeValue);
+      card.name = [given, family].filter(Boolean).join(' ') || null;
+    }
+  }
+
+  return cards;
+}
+
+module.exports = { SUPPORTED_VERSIONS, buildVCard, parseVCards };
@@ -0,0 +1,153 @@
+/**
+ * Parser for WhatsApp "Export chat" transcripts (Android and iOS layouts)
+ *
+ *   31/12/2020, 21:41 - Jane: Happy new year        (Android, 24h)
+ *   12/31/20, 9:41 PM - Jane: Happy new year        (Android, US)
+ *   [31.12.20, 21:41:05] Jane: Happy new year       (iOS)
+ */
+
+const DATE_ORDERS = ['DMY', 'MDY', 'YMD'];
+
+// date, time (optional seconds / am-pm), then " - " (Android) or "] " (iOS)
+const HEADER_PATTERN = /^\[?(\d{1,4})[./-](\d{1,2})[./-](\d{1,4}),?\s+(\d{1,2})[:.](\d{2})(?:[:.](\d{2}))?\s*([ap]\.?\s?m\.?)?\]?\s*(?:-\s+)?(.*)$/i;
+
+// Android: "IMG-20201231-WA0001.jpg (file attached)", iOS: "<attached: 00000012-PHOTO-2020-12-31.jpg>"
+const ATTACHMENT_PATTERNS = [
+  /^(.+?\.[a-z0-9]{1,5}) \(file attached\)$/i,
+  /^<attached: (.+?)>$/i
+];
+
+// Invisible direction marks and odd spaces that exports sprinkle around
+const cleanLine = (line) => line
+  .replace(/[\u200e\u200f\u202a-\u202e\ufeff]/g, '')
+  .replace(/[\u00a0\u202f]/g, ' ');
+
+/**
+ * Work out the date order from the headers themselves:
+ * a 4-digit first part means Y/M/D, a first part over 12 means D/M/Y,
+ * a second part over 12 means M/D/Y. Otherwise fall back to `preferred`.
+ */
+const detectDateOrder = (headers, preferred) => {
+  for (const [first, second] of headers) {
+    if (first.length === 4) return 'YMD';
+    if (parseInt(first) > 12) return 'DMY';
+    if (parseInt(second) > 12) return 'MDY';
+  }
+  return preferred;
+};
+
+/**
+ * UTC time of a wall-clock time in an IANA time zone
+ */
+const zonedTime = (year, month, day, hour, minute, second, timeZone) => {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  if (timeZone === 'UTC') return new Date(wallClock);
+
+  const format = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  });
+  const offsetAt = (time) => {
+    const parts = Object.fromEntries(format.formatToParts(new Date(time)).map(part => [part.type, part.value]));
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - time;
+  };
+
+  // Two passes settle the offset around DST changes
+  const guess = wallClock - offsetAt(wallClock);
+  return new Date(wallClock - offsetAt(guess));
+};
+
+const toDate = (header, order, timeZone) => {
+  const [first, second, third, rawHour, minute, seconds = '0', meridiem] = header;
+  let year;
+  let month;
+  let day;
+
+  if (order === 'YMD') {
+    [year, month, day] = [first, second, third];
+  } else if (order === 'MDY') {
+    [month, day, year] = [first, second, third];
+  } else {
+    [day, month, year] = [first, second, third];
+  }
+
+  year = parseInt(year);
+  if (year < 100) year += 2000;
+
+  let hour = parseInt(rawHour);
+  if (meridiem) {
+    const pm = /^p/i.test(meridiem);
+    if (hour === 12) hour = pm ? 12 : 0;
+    else if (pm) hour += 12;
+  }
+
+  const date = zonedTime(year, parseInt(month), parseInt(day), hour, parseInt(minute), parseInt(seconds), timeZone);
+  return isNaN(date.getTime()) || parseInt(month) > 12 || parseInt(day) > 31 ? null : date;
+};
+
+/**
+ * Parse an exported transcript into messages, oldest first
+ * Lines without a date header continue the previous message.
+ * @param {String} text - Contents of the .txt export
+ * @param {Object} [options]
+ * @param {String} [options.dateOrder='DMY'] - DMY, MDY or YMD, used only when the file is ambiguous
+ * @param {String} [options.timeZone='UTC'] - IANA time zone the export was written in
+ * @returns {Array<{sent_at: Date, sender: String|null, content: String, attachment: String|null}>}
+ *   sender is null for system lines ("Jane created group ...")
+ */
+function parseWhatsAppChat(text, { dateOrder = 'DMY', timeZone = 'UTC' } = {}) {
+  if (!DATE_ORDERS.includes(dateOrder)) {
+    throw new Error(`Invalid date order. Use one of: ${DATE_ORDERS.join(', ')}`);
+  }
+
+  const lines = String(text || '').split(/\r?\n/).map(cleanLine);
+  const headers = lines.map(line => HEADER_PATTERN.exec(line));
+  const order = detectDateOrder(headers.filter(Boolean).map(match => match.slice(1, 3)), dateOrder);
+
+  const messages = [];
+  let current = null;
+
+  lines.forEach((line, index) => {
+    const match = headers[index];
+    const sentAt = match && toDate(match.slice(1, 8), order, timeZone);
+
+    if (!sentAt) {
+      // Continuation of a multi-line message
+      if (current) current.content += `\n${line}`;
+      return;
+    }
+
+    const rest = match[8];
+    const separator = rest.indexOf(': ');
+    current = separator > 0
+      ? { sent_at: sentAt, sender: rest.slice(0, separator).trim(), content: rest.slice(separator + 2), attachment: null }
+      : { sent_at: sentAt, sender: null, content: rest, attachment: null };
+    messages.push(current);
+  });
+
+  for (const message of messages) {
+    message.content = message.content.replace(/\s+$/, '');
+    if (!message.sender) continue;
+
+    // Attachment line, optionally followed by a caption on the next lines
+    const [firstLine, ...caption] = message.content.split('\n');
+    for (const pattern of ATTACHMENT_PATTERNS) {
+      const attachment = pattern.exec(firstLine.trim());
+      if (attachment) {
+        message.attachment = attachment[1];
+        message.content = caption.join('\n').trim();
+        break;
+      }
+    }
+  }
+
+  return messages;
+}
+
+module.exports = { DATE_ORDERS, parseWhatsAppChat };